@@ -0,0 +1,457 @@
+/**
+ * Lead Dashboard
+ * Sales view of every lead the local lead server has received (admin.html)
+ * Sign-in, filters (city, status, form, phone, date range), status changes, notes,
+ * repeat-caller flags and CSV export. Talks to /api/admin/ (server/admin.js)
+ *
+ * Requires form-schemas.js for the field labels
+ */
+
+(function() {
+    'use strict';
+
+    const API = '/api/admin';
+
+    const FORM_LABELS = {
+        quote: 'Quote form',
+        inquiry: 'Booking inquiry',
+        contact: 'Contact form'
+    };
+
+    const STATUS_LABELS = {
+        new: 'New',
+        contacted: 'Contacted',
+        quoted: 'Quoted',
+        won: 'Won',
+        lost: 'Lost'
+    };
+
+    const FILTERS = ['city', 'status', 'form', 'phone', 'from', 'to'];
+
+    const dateTimeFormat = new Intl.DateTimeFormat('en-IN', { day: 'numeric', month: 'short', year: 'numeric', hour: 'numeric', minute: '2-digit' });
+    const currency = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 });
+
+    const escapeHtml = text => String(text == null ? '' : text).replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+    const formatDate = value => dateTimeFormat.format(new Date(value));
+    // Leads store E.164 numbers; ones from before that are 10 Indian digits
+    const telNumber = mobile => (String(mobile).startsWith('+') ? mobile : `+91${mobile}`);
+
+    const state = {
+        user: null,
+        statuses: Object.keys(STATUS_LABELS),
+        leads: [],
+        open: new Set()
+    };
+
+    let app;
+
+    /**
+     * Call the dashboard API; rejects with error.status set for HTTP errors
+     */
+    async function api(path, { method = 'GET', body } = {}) {
+        const response = await fetch(API + path, {
+            method,
+            credentials: 'same-origin',
+            headers: body ? { 'Content-Type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (error) {
+            // Non-JSON answer: the page is not being served by the lead server
+        }
+
+        if (!response.ok) {
+            const error = new Error(data.error || 'The lead server did not answer. Start it with `node server`.');
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    function setMessage(text, type) {
+        const status = app.querySelector('.admin-status');
+        if (!status) return;
+        status.textContent = text || '';
+        status.classList.toggle('is-error', type === 'error');
+    }
+
+    function setUser(user) {
+        state.user = user;
+        const box = document.querySelector('[data-admin-user]');
+        box.hidden = !user;
+        box.querySelector('[data-admin-user-name]').textContent = user ? `Signed in as ${user}` : '';
+    }
+
+    /* ---------- Sign in ---------- */
+
+    function renderLogin(message) {
+        setUser(null);
+        app.innerHTML = `
+            <form class="admin-card admin-login" novalidate>
+                <h1>Sign in</h1>
+                <p>Leads received by the site forms. Ask the site admin for a login.</p>
+                <div class="form-group">
+                    <label for="adminUser">Name</label>
+                    <input type="text" id="adminUser" name="user" autocomplete="username" required>
+                </div>
+                <div class="form-group">
+                    <label for="adminPassword">Password</label>
+                    <input type="password" id="adminPassword" name="password" autocomplete="current-password" required>
+                </div>
+                <p class="admin-status${message ? ' is-error' : ''}" role="status" aria-live="polite">${escapeHtml(message || '')}</p>
+                <button type="submit" class="btn">Sign in</button>
+            </form>
+        `;
+
+        const form = app.querySelector('form');
+        form.elements.user.focus();
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+            form.querySelector('[type="submit"]').disabled = true;
+            try {
+                const result = await api('/login', { method: 'POST', body: { user: form.elements.user.value.trim(), password: form.elements.password.value } });
+                start(result.user);
+            } catch (error) {
+                renderLogin(error.message);
+            }
+        });
+    }
+
+    /* ---------- Dashboard ---------- */
+
+    function readFilters() {
+        const form = app.querySelector('.admin-filters');
+        return FILTERS.reduce((filters, key) => {
+            const value = form.elements[key].value.trim();
+            if (value) filters[key] = value;
+            return filters;
+        }, {});
+    }
+
+    const queryString = filters => new URLSearchParams(filters).toString();
+
+    function renderDashboard() {
+        const initial = new URLSearchParams(window.location.search);
+        const option = (value, label, selected) => `<option value="${value}"${selected === value ? ' selected' : ''}>${label}</option>`;
+
+        app.innerHTML = `
+            <div class="admin-summary" aria-label="Leads by status"></div>
+
+            <form class="admin-card admin-filters" role="search" aria-label="Filter leads">
+                <div class="form-group">
+                    <label for="filterCity">City</label>
+                    <input type="search" id="filterCity" name="city" placeholder="Pune, Delhi…" value="${escapeHtml(initial.get('city') || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="filterStatus">Status</label>
+                    <select id="filterStatus" name="status">
+                        ${option('', 'Any status', initial.get('status'))}
+                        ${state.statuses.map(key => option(key, STATUS_LABELS[key] || key, initial.get('status'))).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="filterForm">Form</label>
+                    <select id="filterForm" name="form">
+                        ${option('', 'All forms', initial.get('form'))}
+                        ${Object.keys(FORM_LABELS).map(key => option(key, FORM_LABELS[key], initial.get('form'))).join('')}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="filterPhone">Phone</label>
+                    <input type="search" id="filterPhone" name="phone" inputmode="tel" value="${escapeHtml(initial.get('phone') || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="filterFrom">From date</label>
+                    <input type="date" id="filterFrom" name="from" value="${escapeHtml(initial.get('from') || '')}">
+                </div>
+                <div class="form-group">
+                    <label for="filterTo">To date</label>
+                    <input type="date" id="filterTo" name="to" value="${escapeHtml(initial.get('to') || '')}">
+                </div>
+                <button type="reset" class="admin-link">Clear filters</button>
+            </form>
+
+            <div class="admin-toolbar">
+                <p class="admin-count" aria-live="polite"></p>
+                <p class="admin-status" role="status" aria-live="polite"></p>
+                <a class="btn btn-small" data-admin-export href="${API}/leads.csv">Export CSV</a>
+            </div>
+
+            <div class="admin-table-wrap">
+                <table class="admin-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">Received</th>
+                            <th scope="col">Customer</th>
+                            <th scope="col">Route</th>
+                            <th scope="col">Source</th>
+                            <th scope="col">Status</th>
+                            <th scope="col"><span class="visually-hidden">Details</span></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        const filters = app.querySelector('.admin-filters');
+        let timer;
+        filters.addEventListener('input', e => {
+            clearTimeout(timer);
+            timer = setTimeout(loadLeads, e.target.type === 'search' ? 300 : 0);
+        });
+        filters.addEventListener('submit', e => {
+            e.preventDefault();
+            loadLeads();
+        });
+        // reset fires before the values are cleared
+        filters.addEventListener('reset', () => setTimeout(loadLeads, 0));
+    }
+
+    function renderSummary() {
+        const counts = state.leads.reduce((result, lead) => {
+            result[lead.status] = (result[lead.status] || 0) + 1;
+            return result;
+        }, {});
+
+        app.querySelector('.admin-summary').innerHTML = state.statuses.map(key => `
+            <button type="button" class="admin-summary-item status-${key}" data-filter-status="${key}">
+                <strong>${counts[key] || 0}</strong>
+                <span>${STATUS_LABELS[key] || key}</span>
+            </button>
+        `).join('');
+    }
+
+    function renderRoute(lead) {
+        const fields = lead.fields;
+        if (!fields.movingFrom && !fields.movingTo) return '<span class="admin-muted">—</span>';
+
+        const estimate = lead.estimate && lead.estimate.priceMin
+            ? `<span class="admin-muted">Est. ${currency.format(lead.estimate.priceMin)} – ${currency.format(lead.estimate.priceMax)}</span>`
+            : '';
+        return `
+            <strong>${escapeHtml(fields.movingFrom || '?')} → ${escapeHtml(fields.movingTo || '?')}</strong>
+            ${fields.vehicle ? `<span>${escapeHtml(fields.vehicle)}</span>` : ''}
+            ${estimate}
+        `;
+    }
+
+    function renderDetails(lead) {
+        const schema = (window.FormSchemas || {})[lead.form];
+        const rows = schema
+            ? Object.keys(schema.fields).map(name => [schema.fields[name].label, lead.fields[schema.fields[name].payload || name]])
+            : Object.keys(lead.fields).map(key => [key, lead.fields[key]]);
+
+        // Campaign/referrer the visitor arrived with (analytics.js)
+        const attribution = lead.attribution;
+        if (attribution) {
+            const channel = [attribution.source, attribution.medium].filter(Boolean).join(' / ');
+            rows.push(['Came from', [channel, attribution.campaign].filter(Boolean).join(' · ')]);
+            if (attribution.landingPage) rows.push(['Landing page', attribution.landingPage]);
+        }
+
+        const history = lead.history.map(change => `
+            <li>${escapeHtml(change.by)} moved it from ${escapeHtml(STATUS_LABELS[change.from] || change.from)}
+                to ${escapeHtml(STATUS_LABELS[change.to] || change.to)} · ${formatDate(change.at)}</li>
+        `).join('');
+
+        const notes = lead.notes.map(note => `
+            <li>
+                <p>${escapeHtml(note.text)}</p>
+                <span class="admin-muted">${escapeHtml(note.by)} · ${formatDate(note.at)}</span>
+            </li>
+        `).join('');
+
+        return `
+            <div class="admin-details">
+                <dl class="admin-fields">
+                    ${rows.map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value || '—')}</dd></div>`).join('')}
+                </dl>
+                <div class="admin-notes">
+                    <h3>Notes</h3>
+                    ${notes ? `<ul class="admin-note-list">${notes}</ul>` : '<p class="admin-muted">No notes yet.</p>'}
+                    <form class="admin-note-form" data-note-for="${escapeHtml(lead.id)}">
+                        <label for="note-${escapeHtml(lead.id)}" class="visually-hidden">Add a note</label>
+                        <textarea id="note-${escapeHtml(lead.id)}" name="note" rows="2" maxlength="2000" placeholder="Called, customer wants pickup next week…"></textarea>
+                        <button type="submit" class="btn btn-small">Add note</button>
+                    </form>
+                    ${history ? `<h3>History</h3><ul class="admin-history">${history}</ul>` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    function renderRow(lead) {
+        const open = state.open.has(lead.id);
+        const fields = lead.fields;
+        const repeat = lead.duplicates.length
+            ? `<button type="button" class="admin-badge is-duplicate" data-filter-phone="${escapeHtml(fields.mobile)}"
+                    title="Show every lead from this number">Repeat ×${lead.duplicates.length + 1}</button>`
+            : '';
+
+        return `
+            <tr class="admin-row status-${escapeHtml(lead.status)}" data-lead="${escapeHtml(lead.id)}">
+                <td>${formatDate(lead.createdAt)}</td>
+                <td>
+                    <strong>${escapeHtml(fields.name)}</strong>
+                    ${fields.mobile ? `<a href="tel:${escapeHtml(telNumber(fields.mobile))}">${escapeHtml(fields.mobile)}</a>` : ''}
+                    <a href="mailto:${escapeHtml(fields.email)}">${escapeHtml(fields.email)}</a>
+                    ${repeat}
+                </td>
+                <td>${renderRoute(lead)}</td>
+                <td>
+                    <span>${FORM_LABELS[lead.form] || escapeHtml(lead.form)}</span>
+                    <span class="admin-muted">${escapeHtml(lead.source || 'unknown page')}</span>
+                </td>
+                <td>
+                    <select data-status-for="${escapeHtml(lead.id)}" aria-label="Status for ${escapeHtml(fields.name)}">
+                        ${state.statuses.map(key => `<option value="${key}"${key === lead.status ? ' selected' : ''}>${STATUS_LABELS[key] || key}</option>`).join('')}
+                    </select>
+                </td>
+                <td>
+                    <button type="button" class="admin-link" data-toggle="${escapeHtml(lead.id)}" aria-expanded="${open}">
+                        ${open ? 'Hide' : 'Details'}${lead.notes.length ? ` (${lead.notes.length} note${lead.notes.length > 1 ? 's' : ''})` : ''}
+                    </button>
+                </td>
+            </tr>
+            ${open ? `<tr class="admin-detail-row"><td colspan="6">${renderDetails(lead)}</td></tr>` : ''}
+        `;
+    }
+
+    function renderLeads() {
+        const body = app.querySelector('.admin-table tbody');
+        body.innerHTML = state.leads.length
+            ? state.leads.map(renderRow).join('')
+            : '<tr><td colspan="6" class="admin-empty">No leads match these filters.</td></tr>';
+
+        app.querySelector('.admin-count').textContent = `${state.leads.length} lead${state.leads.length === 1 ? '' : 's'}`;
+        renderSummary();
+    }
+
+    async function loadLeads() {
+        const filters = readFilters();
+        const query = queryString(filters);
+
+        // Keep the filters in the address bar so a reload (or a shared link) shows the same list
+        window.history.replaceState(null, '', query ? `?${query}` : window.location.pathname);
+        app.querySelector('[data-admin-export]').href = `${API}/leads.csv${query ? `?${query}` : ''}`;
+
+        try {
+            state.leads = (await api(`/leads${query ? `?${query}` : ''}`)).leads;
+            setMessage('');
+            renderLeads();
+        } catch (error) {
+            if (error.status === 401) {
+                renderLogin('Your session has ended. Please sign in again.');
+                return;
+            }
+            setMessage(error.message, 'error');
+        }
+    }
+
+    async function updateLead(id, change) {
+        try {
+            const { lead } = await api(`/leads/${encodeURIComponent(id)}`, { method: 'PATCH', body: change });
+            state.leads = state.leads.map(item => (item.id === id ? lead : item));
+            setMessage(change.status ? `Marked ${lead.fields.name} as ${STATUS_LABELS[lead.status] || lead.status}.` : 'Note added.');
+            renderLeads();
+            return true;
+        } catch (error) {
+            if (error.status === 401) {
+                renderLogin('Your session has ended. Please sign in again.');
+            } else {
+                setMessage(error.message, 'error');
+            }
+            return false;
+        }
+    }
+
+    function setFilter(name, value) {
+        const field = app.querySelector('.admin-filters').elements[name];
+        field.value = value;
+        loadLeads();
+    }
+
+    function bindDashboard() {
+        app.addEventListener('change', e => {
+            const select = e.target.closest('[data-status-for]');
+            if (select) updateLead(select.dataset.statusFor, { status: select.value });
+        });
+
+        app.addEventListener('click', e => {
+            const toggle = e.target.closest('[data-toggle]');
+            const phone = e.target.closest('[data-filter-phone]');
+            const status = e.target.closest('[data-filter-status]');
+
+            if (toggle) {
+                const id = toggle.dataset.toggle;
+                if (!state.open.delete(id)) state.open.add(id);
+                renderLeads();
+                app.querySelector(`[data-toggle="${CSS.escape(id)}"]`).focus();
+            } else if (phone) {
+                setFilter('phone', phone.dataset.filterPhone);
+            } else if (status) {
+                setFilter('status', status.dataset.filterStatus);
+            }
+        });
+
+        app.addEventListener('submit', async e => {
+            const form = e.target.closest('[data-note-for]');
+            if (!form) return;
+            e.preventDefault();
+
+            const note = form.elements.note.value.trim();
+            if (!note) {
+                form.elements.note.focus();
+                return;
+            }
+            const id = form.dataset.noteFor;
+            if (await updateLead(id, { note })) {
+                const textarea = document.getElementById(`note-${id}`);
+                if (textarea) textarea.focus();
+            }
+        });
+    }
+
+    function start(user) {
+        setUser(user);
+        renderDashboard();
+        loadLeads();
+        app.focus();
+    }
+
+    async function init() {
+        app = document.getElementById('adminApp');
+        if (!app) return;
+
+        bindDashboard();
+
+        // The dashboard is cleared either way; the message says when the server may still hold the session
+        document.querySelector('[data-admin-logout]').addEventListener('click', async () => {
+            try {
+                await api('/logout', { method: 'POST' });
+                renderLogin();
+            } catch (error) {
+                console.error('Error:', error);
+                renderLogin("Signed out on this screen, but the lead server couldn't be reached to end the session. Reload and sign out again once it's back.");
+            }
+        });
+
+        try {
+            const session = await api('/session');
+            state.statuses = session.statuses || state.statuses;
+            start(session.user);
+        } catch (error) {
+            renderLogin(error.status === 401 ? '' : error.message);
+        }
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
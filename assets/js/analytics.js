@@ -0,0 +1,374 @@
+/**
+ * Conversion Analytics
+ * Records what visitors do on the way to a lead and hands each event to pluggable sinks
+ *
+ * Events (name -> props):
+ *   call_click          { number, placement }        any tel: link
+ *   whatsapp_click      { placement, prefilled, city }  contact-widget.js chat button
+ *   form_start          { form }                     first edit in a lead form
+ *   form_invalid        { form, fields }             submit stopped by validation (browser or server)
+ *   form_submit         { form }                     valid submit sent
+ *   form_success        { form }
+ *   form_error          { form, status }
+ *   form_blocked        { form, reason }             stopped by the spam checks (spam-guard.js or the server)
+ *   form_queued         { form }                     couldn't reach the server; saved by lead-queue.js to send later
+ *   form_abandon        { form, lastField }          page left after starting, without a submit
+ *   slider_interaction  { slider, action, index }    any slider change or pause the visitor made
+ *   city_card_click     { city, href }               networks.html city grid
+ *   city_search_miss    { query }                    network-filter.js search that found no city
+ *   app_install         {}                           site installed as an app (pwa.js)
+ * Every event also carries page, lang, time and a per-tab session id.
+ *
+ * Sinks: SiteConfig.analytics.sinks names the built-in ones (console, collector, dataLayer);
+ * Analytics.addSink(name, handler) adds more. Nothing reaches a sink until the visitor has
+ * allowed the "analytics" category in consent.js; events from before that wait in memory.
+ *
+ * Attribution (UTM parameters, click ids, external referrer, landing page) is captured on
+ * the first page of the visit and sent with every lead as payload.attribution; like the
+ * events, only once the visitor allows "analytics". Until then it isn't stored or sent.
+ * Requires config.js and consent.js; uses form-engine.js when the page has one.
+ */
+
+(function() {
+    'use strict';
+
+    const ATTRIBUTION_KEY = 'spw-attribution';
+    const SESSION_KEY = 'spw-session';
+
+    const UTM_PARAMS = ['source', 'medium', 'campaign', 'term', 'content'];
+    const CLICK_IDS = ['gclid', 'fbclid', 'msclkid'];
+
+    const FORMS = {
+        quote: '.quote-form',
+        inquiry: '#inquiryForm',
+        contact: '#contactForm'
+    };
+
+    const MAX_PENDING = 100;        // events held while consent is undecided
+    const FLUSH_DELAY = 5000;       // ms the collector waits to batch events
+
+    const settings = Object.assign({ sinks: [], requireConsent: true }, window.SiteConfig.analytics);
+    const sinks = new Map();
+    const pending = [];
+    let consent = settings.requireConsent ? null : true;  // null: not decided yet
+
+    /* ---------- Storage ---------- */
+
+    function read(storage, key) {
+        try {
+            return storage.getItem(key);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function write(storage, key, value) {
+        try {
+            if (value === null) storage.removeItem(key);
+            else storage.setItem(key, value);
+        } catch (error) {
+            // Storage blocked; the value lasts for this page only
+        }
+    }
+
+    function sessionId() {
+        let id = read(sessionStorage, SESSION_KEY);
+        if (!id) {
+            id = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+            write(sessionStorage, SESSION_KEY, id);
+        }
+        return id;
+    }
+
+    /* ---------- Attribution ---------- */
+
+    function externalReferrer() {
+        try {
+            const referrer = new URL(document.referrer);
+            return referrer.hostname !== window.location.hostname ? referrer.hostname : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Where this visit came from. The first page of the tab's visit decides, unless a
+     * later page arrives with its own campaign parameters (a new ad click).
+     * Only read here; setConsent() keeps it for the visit once analytics is allowed
+     */
+    function captureAttribution() {
+        const params = new URLSearchParams(window.location.search);
+        const stored = read(sessionStorage, ATTRIBUTION_KEY);
+        const campaign = UTM_PARAMS.some(name => params.has(`utm_${name}`)) || CLICK_IDS.some(name => params.has(name));
+
+        if (stored && !campaign) {
+            try {
+                return JSON.parse(stored);
+            } catch (error) {
+                // Corrupt entry; capture again below
+            }
+        }
+
+        const referrer = externalReferrer();
+        const attribution = {
+            source: params.get('utm_source') || referrer || '(direct)',
+            medium: params.get('utm_medium') || (referrer ? 'referral' : '(none)'),
+            landingPage: window.location.pathname,
+            capturedAt: new Date().toISOString()
+        };
+        UTM_PARAMS.slice(2).forEach(name => {
+            if (params.get(`utm_${name}`)) attribution[name] = params.get(`utm_${name}`);
+        });
+        CLICK_IDS.forEach(name => {
+            if (params.get(name)) attribution[name] = params.get(name);
+        });
+        if (referrer) attribution.referrer = referrer;
+        return attribution;
+    }
+
+    const attribution = captureAttribution();
+    // Sites without the consent requirement keep it straight away
+    if (consent) write(sessionStorage, ATTRIBUTION_KEY, JSON.stringify(attribution));
+
+    /* ---------- Sinks ---------- */
+
+    const BUILT_IN_SINKS = {
+        console: event => console.info('[analytics]', event.name, event.props),
+
+        // server/events.js; batched and sent with sendBeacon so page exits aren't lost
+        collector: (() => {
+            let batch = [];
+            let timer = null;
+
+            function flush() {
+                clearTimeout(timer);
+                timer = null;
+                const endpoint = window.SiteConfig.endpoints.events;
+                if (!batch.length || !endpoint) return;
+
+                const body = JSON.stringify({ events: batch });
+                batch = [];
+                const blob = new Blob([body], { type: 'application/json' });
+                if (!(navigator.sendBeacon && navigator.sendBeacon(endpoint, blob))) {
+                    fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+                        .catch(() => {}); // analytics never bothers the visitor
+                }
+            }
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.hidden) flush();
+            });
+
+            const sink = event => {
+                batch.push(event);
+                if (!timer) timer = setTimeout(flush, FLUSH_DELAY);
+            };
+            sink.flush = flush;
+            return sink;
+        })(),
+
+        // Google Tag Manager / GA4 style adapter: whatever tag loads later reads window.dataLayer
+        dataLayer: event => {
+            window.dataLayer = window.dataLayer || [];
+            window.dataLayer.push({ event: event.name, ...event.props, page_path: event.page });
+        }
+    };
+
+    function deliver(event) {
+        sinks.forEach((handler, name) => {
+            try {
+                handler(event);
+            } catch (error) {
+                console.error(`Analytics sink "${name}" failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Register a sink; handler(event) gets { name, props, page, lang, time, session }
+     * A handler.flush() method, if present, is called when the page is left
+     */
+    function addSink(name, handler) {
+        sinks.set(name, handler);
+    }
+
+    function removeSink(name) {
+        sinks.delete(name);
+    }
+
+    settings.sinks.forEach(name => {
+        if (BUILT_IN_SINKS[name]) addSink(name, BUILT_IN_SINKS[name]);
+    });
+
+    /* ---------- Events ---------- */
+
+    /**
+     * Record one event; held until consent is given, dropped if it is refused
+     */
+    function track(name, props = {}) {
+        if (consent === false) return;
+
+        const event = {
+            name,
+            props,
+            page: window.location.pathname,
+            lang: document.documentElement.lang || 'en',
+            time: new Date().toISOString()
+        };
+
+        if (consent === null) {
+            if (pending.length < MAX_PENDING) pending.push(event);
+            return;
+        }
+        deliver({ ...event, session: sessionId() });
+    }
+
+    /**
+     * Apply the visitor's analytics choice: release or drop the held events
+     */
+    function setConsent(granted) {
+        consent = Boolean(granted);
+
+        const held = pending.splice(0);
+        if (consent) {
+            write(sessionStorage, ATTRIBUTION_KEY, JSON.stringify(attribution));
+            held.forEach(event => deliver({ ...event, session: sessionId() }));
+        } else {
+            write(sessionStorage, SESSION_KEY, null);
+            write(sessionStorage, ATTRIBUTION_KEY, null);
+        }
+    }
+
+    if (settings.requireConsent && window.Consent) {
+        if (window.Consent.decided) setConsent(window.Consent.has('analytics'));
+        window.Consent.subscribe(state => setConsent(state.analytics));
+    }
+
+    /* ---------- Page wiring ---------- */
+
+    // Run as the page goes away, before the sinks send what they still hold
+    const leaveHandlers = [];
+
+    window.addEventListener('pagehide', () => {
+        leaveHandlers.forEach(handler => handler());
+        sinks.forEach(handler => {
+            if (handler.flush) handler.flush();
+        });
+    });
+
+    function placement(el) {
+        if (el.closest('.contact-widget')) return 'widget';
+        if (el.closest('footer')) return 'footer';
+        if (el.closest('header, .top-info-bar')) return 'header';
+        if (el.closest('aside')) return 'sidebar';
+        return 'content';
+    }
+
+    function watchClicks() {
+        document.addEventListener('click', event => {
+            const call = event.target.closest('a[href^="tel:"]');
+            if (call) {
+                track('call_click', { number: call.getAttribute('href').slice(4), placement: placement(call) });
+                return;
+            }
+
+            const card = event.target.closest('.city-card');
+            if (card) {
+                const name = card.querySelector('.city-name');
+                track('city_card_click', {
+                    city: (name || card).textContent.trim(),
+                    href: card.getAttribute('href')
+                });
+            }
+        });
+    }
+
+    function watchSliders() {
+        const label = root => root.dataset.sliderLabel || root.getAttribute('aria-label') || 'slider';
+
+        document.addEventListener('slider:change', event => {
+            if (event.detail.source === 'auto') return;
+            track('slider_interaction', { slider: label(event.target), action: event.detail.source, index: event.detail.index });
+        });
+        document.addEventListener('slider:toggle', event => {
+            track('slider_interaction', { slider: label(event.target), action: event.detail.paused ? 'pause' : 'play' });
+        });
+    }
+
+    function watchForm(form, name) {
+        let started = false;
+        let submitted = false;
+        let lastField = null;
+
+        form.addEventListener('input', event => {
+            lastField = event.target.name || lastField;
+            if (started) return;
+            started = true;
+            track('form_start', { form: name });
+        });
+        form.addEventListener('change', event => {
+            lastField = event.target.name || lastField;
+        });
+
+        form.addEventListener('leadform:invalid', event => track('form_invalid', { form: name, fields: event.detail.fields }));
+        form.addEventListener('leadform:submit', () => {
+            submitted = true;
+            track('form_submit', { form: name });
+        });
+        form.addEventListener('leadform:success', () => {
+            // The form is reset; filling it in again counts as a new start
+            started = false;
+            submitted = false;
+            track('form_success', { form: name });
+        });
+        form.addEventListener('leadform:error', event => {
+            track('form_error', { form: name, status: event.detail.status || 'network' });
+        });
+        form.addEventListener('leadform:blocked', event => track('form_blocked', { form: name, reason: event.detail.reason }));
+        form.addEventListener('leadform:queued', () => {
+            // Reset like a success; form_success follows once the queue delivers it
+            started = false;
+            submitted = false;
+            track('form_queued', { form: name });
+        });
+
+        leaveHandlers.push(() => {
+            if (started && !submitted) track('form_abandon', { form: name, lastField });
+        });
+    }
+
+    function init() {
+        watchClicks();
+        watchSliders();
+        Object.keys(FORMS).forEach(name => {
+            document.querySelectorAll(FORMS[name]).forEach(form => watchForm(form, name));
+        });
+
+        if (window.FormEngine) {
+            // Read at submit time: consent may have been given (or withdrawn) since the page loaded
+            window.FormEngine.addPayloadHook(payload => {
+                if (consent === true) return { ...payload, attribution };
+                const withheld = { ...payload };
+                delete withheld.attribution;
+                return withheld;
+            });
+        }
+    }
+
+    // Expose for other modules
+    window.Analytics = {
+        track,
+        addSink,
+        removeSink,
+        setConsent,
+        get consent() { return consent; },
+        get attribution() { return consent === true ? attribution : null; }
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -2,6 +2,25 @@
  * Premium Animations
  * Parallax, scroll-triggered animations, floating effects, and micro-interactions
  * Optimized for performance with 3-layer parallax system
+ *
+ * Each effect is a named feature (see FEATURES) that can be switched at runtime:
+ *   PremiumAnimations.disable('magnetic'); PremiumAnimations.enable('parallax');
+ * destroy() removes every listener and observer; refresh(root) picks up markup added
+ * later (e.g. a testimonial list loaded from the feed).
+ *
+ * Scroll effects share one frame scheduler: one scroll listener, layout reads batched before
+ * style writes, and only elements near the viewport updated. An effect that keeps the frame
+ * over budget is switched off. PremiumAnimations.debug() (or ?anim-debug) shows their cost.
+ *
+ * Per-element attributes:
+ *   data-anim-reveal="fade|left|right|scale|none"   reveal style ("none" opts out of the automatic one)
+ *   data-anim-delay="200"                           reveal delay in ms
+ *   data-anim-speed="0.2"                           parallax speed (.parallax-element, .parallax-layer, silhouettes)
+ *   data-counter="500" data-anim-duration="1500" data-anim-format="grouped|plain|compact"
+ *
+ * Events (bubbling, on the element):
+ *   anim:reveal        { type }     element scrolled into view and revealed
+ *   anim:counter-done  { value }    counter reached its final value
  */
 
 (function() {
@@ -14,8 +33,15 @@
         scrollRevealEnabled: true,
         layeredParallaxEnabled: true,
         silhouetteParallaxEnabled: false, // Disabled - causes visual issues
+        // Per-feature switches (FEATURES names); a feature set to false doesn't start
+        features: {},
         throttleMs: 16, // ~60fps
+        // Scroll effects share one frame; past this many ms of their work for
+        // overBudgetFrames frames in a row, the costliest effect is switched off
+        frameBudgetMs: 6,
+        overBudgetFrames: 30,
         mobileBreakpoint: 768,
+        counterDuration: 2000,
         // 3-Layer Parallax Speed Configuration
         parallaxSpeeds: {
             blobs: 0.15,      // Layer 1: Soft blobs
@@ -35,9 +61,21 @@
         }
     };
 
+    const REVEAL_TYPES = {
+        fade: 'reveal',
+        left: 'reveal-left',
+        right: 'reveal-right',
+        scale: 'reveal-scale'
+    };
+
+    const REVEAL_CLASSES = [
+        'scroll-fade-in', 'scroll-slide-left', 'scroll-slide-right', 'scroll-scale-in',
+        'reveal', 'reveal-left', 'reveal-right', 'reveal-scale'
+    ];
+
     // Check for reduced motion preference
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-    
+
     // Check if mobile
     const isMobile = () => window.innerWidth <= CONFIG.mobileBreakpoint;
 
@@ -51,20 +89,158 @@
     };
 
     /**
-     * Request Animation Frame wrapper with throttling
+     * Elements matching selector inside root, root included
      */
-    function rafCallback(callback) {
-        let ticking = false;
-        return function(...args) {
-            if (!ticking) {
-                window.requestAnimationFrame(() => {
-                    callback.apply(this, args);
-                    ticking = false;
-                });
-                ticking = true;
+    function within(root, selector) {
+        const found = Array.from(root.querySelectorAll(selector));
+        if (root.matches && root.matches(selector)) found.unshift(root);
+        return found;
+    }
+
+    function emit(el, name, detail) {
+        el.dispatchEvent(new CustomEvent(name, { bubbles: true, detail }));
+    }
+
+    /* ---------- Frame scheduler ---------- */
+
+    /**
+     * One scroll/resize listener and one animation frame for every scroll effect.
+     * Each frame runs all effects' read() (layout measurements) before any write()
+     * (style changes), so the browser lays the page out once per frame instead of once
+     * per effect. write() returns true to get another frame (e.g. smoothing not settled).
+     *
+     * Each effect's cost is tracked; when the frame work stays over CONFIG.frameBudgetMs,
+     * the most expensive effect is switched off.
+     */
+    const scheduler = (() => {
+        const effects = new Map();      // feature name -> { read, write, cost }
+        let frame = null;
+        let overBudget = 0;             // consecutive frames over budget
+        let average = 0;                // ms of work per frame, smoothed
+        let lastFrameTime = 0;
+        let frameInterval = 0;          // ms between frames, smoothed
+        let overlay = null;
+        let overlayUpdated = 0;
+        const shed = [];
+
+        const request = () => {
+            if (!frame) frame = requestAnimationFrame(run);
+        };
+        const smooth = (previous, value) => previous ? previous * 0.9 + value * 0.1 : value;
+
+        function timed(effect, phase, state) {
+            const started = performance.now();
+            const result = effect[phase] ? effect[phase](state) : undefined;
+            effect.lastCost += performance.now() - started;
+            return result;
+        }
+
+        function run(time) {
+            frame = null;
+            const state = { scrollY: window.pageYOffset, height: window.innerHeight, time };
+            const list = Array.from(effects.values());
+
+            list.forEach(effect => {
+                effect.lastCost = 0;
+                timed(effect, 'read', state);
+            });
+            let again = false;
+            list.forEach(effect => {
+                if (timed(effect, 'write', state)) again = true;
+                effect.cost = smooth(effect.cost, effect.lastCost);
+            });
+
+            const work = list.reduce((sum, effect) => sum + effect.lastCost, 0);
+            average = smooth(average, work);
+            // Frames close together are a scroll or a smoothing run: count them for the frame rate
+            if (time - lastFrameTime < 100) frameInterval = smooth(frameInterval, time - lastFrameTime);
+            lastFrameTime = time;
+
+            adapt(work);
+            if (overlay && time - overlayUpdated > 250) drawOverlay(time);
+            if (again) request();
+        }
+
+        /**
+         * Switch off the costliest effect after a run of frames over budget
+         */
+        function adapt(work) {
+            overBudget = work > CONFIG.frameBudgetMs ? overBudget + 1 : 0;
+            if (overBudget < CONFIG.overBudgetFrames || !effects.size) return;
+
+            overBudget = 0;
+            const [name, effect] = Array.from(effects.entries()).sort((a, b) => b[1].cost - a[1].cost)[0];
+            shed.push(name);
+            // The debug overlay lists it too; the console only hears about it while debugging
+            if (overlay) console.info(`Animation "${name}" switched off: ${effect.cost.toFixed(1)} ms per frame is over the ${CONFIG.frameBudgetMs} ms budget`);
+            setFeature(name, false);
+        }
+
+        function onScroll() {
+            request();
+        }
+
+        function register(name, effect) {
+            if (!effects.size) {
+                window.addEventListener('scroll', onScroll, { passive: true });
+                window.addEventListener('resize', onScroll, { passive: true });
+            }
+            effects.set(name, Object.assign({ cost: 0, lastCost: 0 }, effect));
+            request();
+
+            return () => {
+                effects.delete(name);
+                if (effects.size) return;
+                window.removeEventListener('scroll', onScroll);
+                window.removeEventListener('resize', onScroll);
+                if (frame) cancelAnimationFrame(frame);
+                frame = null;
+            };
+        }
+
+        /* Debug overlay: per-effect cost, work per frame and frame rate while scrolling */
+
+        function drawOverlay(time) {
+            overlayUpdated = time;
+            const rows = Array.from(effects.entries())
+                .map(([name, effect]) => `${name.padEnd(20)}${effect.cost.toFixed(2).padStart(7)} ms`);
+            overlay.textContent = [
+                `frame work${average.toFixed(2).padStart(17)} ms  (budget ${CONFIG.frameBudgetMs})`,
+                `frame rate${(frameInterval ? 1000 / frameInterval : 0).toFixed(0).padStart(17)} fps`,
+                ...rows,
+                shed.length ? `switched off: ${shed.join(', ')}` : ''
+            ].filter(Boolean).join('\n');
+        }
+
+        function debug(on) {
+            if (on && !overlay) {
+                overlay = document.createElement('pre');
+                overlay.className = 'anim-debug';
+                overlay.setAttribute('aria-hidden', 'true');
+                overlay.style.cssText = 'position:fixed;left:10px;bottom:10px;z-index:2000;margin:0;padding:10px 12px;' +
+                    'font:12px/1.5 monospace;color:#fff;background:rgba(10,26,47,0.85);border-radius:8px;pointer-events:none;';
+                document.body.appendChild(overlay);
+                drawOverlay(performance.now());
+            } else if (!on && overlay) {
+                overlay.remove();
+                overlay = null;
             }
+        }
+
+        return {
+            register,
+            request,
+            debug,
+            stats: () => ({
+                frameWork: average,
+                effects: Array.from(effects.entries()).reduce((all, [name, effect]) => {
+                    all[name] = effect.cost;
+                    return all;
+                }, {}),
+                switchedOff: shed.slice()
+            })
         };
-    }
+    })();
 
     /**
      * 3-Layer Parallax Background System
@@ -72,7 +248,7 @@
      * Layer 2: Grid/Dot patterns (speed: -0.1, moves opposite)
      * Layer 3: Abstract shapes (speed: 0.1)
      */
-    function initLayeredParallax() {
+    function initLayeredParallax(ctx) {
         if (prefersReducedMotion || isMobile() || isLowPowerMode() || !CONFIG.layeredParallaxEnabled) {
             // Hide parallax container on disabled devices
             const container = document.querySelector('.parallax-bg-container');
@@ -80,101 +256,87 @@
             return;
         }
 
+        const container = document.querySelector('.parallax-bg-container');
         const parallaxLayers = document.querySelectorAll('.parallax-layer');
-        if (parallaxLayers.length === 0) return;
+        if (!container || parallaxLayers.length === 0) return;
 
-        let lastScrollY = 0;
-        let targetScrollY = 0;
-        let rafId = null;
+        // The layers move within a fixed container, so a layer can drift out of view and must
+        // still follow the scroll back: visibility is the container's, never a layer's own
+        const tracker = ctx.track([container]);
+        let lastScrollY = window.pageYOffset;
+        let targetScrollY = lastScrollY;
 
         // Smooth interpolation for buttery animations
         const lerp = (start, end, factor) => start + (end - start) * factor;
 
-        const updateParallax = () => {
-            // Smooth scroll value
-            lastScrollY = lerp(lastScrollY, targetScrollY, 0.1);
-
-            parallaxLayers.forEach(layer => {
-                const speed = parseFloat(layer.dataset.parallaxSpeed) || 0.1;
-                const yOffset = lastScrollY * speed;
-                
-                // Use transform3d for GPU acceleration
-                layer.style.transform = `translate3d(0, ${yOffset}px, 0)`;
-            });
-
-            // Continue animation if not settled
-            if (Math.abs(lastScrollY - targetScrollY) > 0.5) {
-                rafId = requestAnimationFrame(updateParallax);
-            } else {
-                rafId = null;
-            }
-        };
+        ctx.schedule({
+            read: frame => {
+                targetScrollY = frame.scrollY;
+            },
+            write: () => {
+                // Smooth scroll value
+                lastScrollY = lerp(lastScrollY, targetScrollY, 0.1);
+                if (!tracker.visible.size) return false;
+
+                parallaxLayers.forEach(layer => {
+                    const speed = parseFloat(layer.dataset.animSpeed || layer.dataset.parallaxSpeed) || 0.1;
+                    // Use transform3d for GPU acceleration
+                    layer.style.transform = `translate3d(0, ${lastScrollY * speed}px, 0)`;
+                });
 
-        const handleScroll = () => {
-            targetScrollY = window.pageYOffset;
-            
-            if (!rafId) {
-                rafId = requestAnimationFrame(updateParallax);
+                // Continue animation if not settled
+                return Math.abs(lastScrollY - targetScrollY) > 0.5;
             }
-        };
-
-        window.addEventListener('scroll', handleScroll, { passive: true });
-        
-        // Initial position
-        targetScrollY = window.pageYOffset;
-        lastScrollY = targetScrollY;
-        updateParallax();
-
-        // Cleanup on page unload
-        window.addEventListener('unload', () => {
-            if (rafId) cancelAnimationFrame(rafId);
         });
+
+        ctx.onCleanup(() => parallaxLayers.forEach(layer => { layer.style.transform = ''; }));
     }
 
     /**
      * Parallax Effect for Individual Elements
-     * Elements move at different speeds based on data-speed attribute
+     * Elements move at different speeds based on data-anim-speed (or the older data-speed)
      */
-    function initParallax() {
+    function initParallax(ctx) {
         if (prefersReducedMotion || isMobile() || !CONFIG.parallaxEnabled) return;
 
-        const parallaxElements = document.querySelectorAll('.parallax-element');
-        if (parallaxElements.length === 0) return;
-
-        const handleParallax = rafCallback(() => {
-            const scrollY = window.pageYOffset;
-
-            parallaxElements.forEach(el => {
-                const speed = parseFloat(el.dataset.speed) || 0.1;
-                const rect = el.getBoundingClientRect();
-                const elementTop = rect.top + scrollY;
-                const elementCenter = elementTop + rect.height / 2;
-                const viewportCenter = scrollY + window.innerHeight / 2;
-                const distance = viewportCenter - elementCenter;
-                
-                // Only animate if element is reasonably close to viewport
-                if (Math.abs(distance) < window.innerHeight * 1.5) {
-                    const yOffset = distance * speed;
-                    el.style.transform = `translate3d(0, ${yOffset}px, 0)`;
-                }
-            });
+        // Only elements within about a screen of the viewport are measured
+        const tracker = ctx.track([], '100% 0px');
+        let measured = [];
+
+        ctx.schedule({
+            read: () => {
+                measured = Array.from(tracker.visible, el => [el, el.getBoundingClientRect()]);
+            },
+            write: frame => {
+                measured.forEach(([el, rect]) => {
+                    const speed = parseFloat(el.dataset.animSpeed || el.dataset.speed) || 0.1;
+                    const distance = frame.height / 2 - (rect.top + rect.height / 2);
+
+                    // Only animate if element is reasonably close to viewport
+                    if (Math.abs(distance) < frame.height * 1.5) {
+                        el.style.transform = `translate3d(0, ${distance * speed}px, 0)`;
+                    }
+                });
+            }
         });
 
-        window.addEventListener('scroll', handleParallax, { passive: true });
-        handleParallax(); // Initial call
+        const add = root => within(root, '.parallax-element, [data-anim-speed]:not(.parallax-layer)').forEach(tracker.watch);
+
+        ctx.onRefresh(add);
+        ctx.onCleanup(() => tracker.watched.forEach(el => { el.style.transform = ''; }));
+        add(document);
     }
 
     /**
      * Enhanced Floating Animation with Intersection Observer
      * Only animate elements when they're in view
      */
-    function initFloatingAnimations() {
+    function initFloatingAnimations(ctx) {
         if (prefersReducedMotion || !CONFIG.floatEnabled) return;
 
-        const floatElements = document.querySelectorAll('.float-element');
-        if (floatElements.length === 0) return;
+        const floatElements = new Set();
 
-        const observer = new IntersectionObserver((entries) => {
+        const observer = ctx.observe((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.style.animationPlayState = 'running';
@@ -184,22 +346,28 @@
             });
         }, { threshold: 0.1 });
 
-        floatElements.forEach(el => {
+        const add = root => within(root, '.float-element').forEach(el => {
+            if (floatElements.has(el)) return;
+            floatElements.add(el);
             el.style.animationPlayState = 'paused';
             observer.observe(el);
         });
+
+        ctx.onRefresh(add);
+        ctx.onCleanup(() => floatElements.forEach(el => { el.style.animationPlayState = ''; }));
+        add(document);
     }
 
     /**
      * Pause blob floating animations when out of view
      */
-    function initBlobAnimationControl() {
+    function initBlobAnimationControl(ctx) {
         if (prefersReducedMotion || isMobile()) return;
 
         const blobs = document.querySelectorAll('.parallax-blob');
         if (blobs.length === 0) return;
 
-        const observer = new IntersectionObserver((entries) => {
+        const observer = ctx.observe((entries) => {
             entries.forEach(entry => {
                 const animations = entry.target.getAnimations();
                 animations.forEach(anim => {
@@ -213,6 +381,7 @@
         }, { threshold: 0, rootMargin: '100px' });
 
         blobs.forEach(blob => observer.observe(blob));
+        ctx.onCleanup(() => blobs.forEach(blob => blob.getAnimations().forEach(anim => anim.play())));
     }
 
     /**
@@ -220,12 +389,12 @@
      * Applies scroll-based parallax movement to logistics decoration elements
      * Each element type has a different speed for independent movement
      */
-    function initSilhouetteParallax() {
+    function initSilhouetteParallax(ctx) {
         if (prefersReducedMotion || isMobile() || !CONFIG.silhouetteParallaxEnabled) return;
 
         const silhouetteSelectors = [
             '.decor-truck',
-            '.decor-car', 
+            '.decor-car',
             '.decor-plane',
             '.decor-globe',
             '.decor-package',
@@ -250,6 +419,7 @@
             else if (el.classList.contains('decor-location')) speed = CONFIG.silhouetteSpeeds.location;
             else if (el.classList.contains('decor-container')) speed = CONFIG.silhouetteSpeeds.container;
             else if (el.classList.contains('decor-checklist')) speed = CONFIG.silhouetteSpeeds.checklist;
+            if (el.dataset.animSpeed) speed = parseFloat(el.dataset.animSpeed) || speed;
 
             // Alternate direction for some elements
             if (index % 3 === 0) speed = -speed;
@@ -258,56 +428,45 @@
                 element: el,
                 speed: speed,
                 // Get existing transform rotation if any
-                baseRotation: getComputedRotation(el)
+                baseRotation: getComputedRotation(el),
+                baseTransform: el.style.transform
             });
         });
 
-        let lastScrollY = 0;
-        let targetScrollY = 0;
-        let rafId = null;
+        // Only silhouettes whose section is on screen move
+        const sections = new Map(silhouetteData.map(data => [data, data.element.closest('section, .hero, footer')]));
+        const tracker = ctx.track(Array.from(new Set(sections.values())).filter(Boolean));
+
+        let lastScrollY = window.pageYOffset;
+        let targetScrollY = lastScrollY;
 
         // Smooth interpolation
         const lerp = (start, end, factor) => start + (end - start) * factor;
 
-        const updateSilhouettes = () => {
-            lastScrollY = lerp(lastScrollY, targetScrollY, 0.08);
+        ctx.schedule({
+            read: frame => {
+                targetScrollY = frame.scrollY;
+            },
+            write: () => {
+                lastScrollY = lerp(lastScrollY, targetScrollY, 0.08);
 
-            silhouetteData.forEach(({ element, speed, baseRotation }) => {
-                const section = element.closest('section, .hero, footer');
-                if (!section) return;
+                silhouetteData.forEach(data => {
+                    if (!tracker.visible.has(sections.get(data))) return;
 
-                const rect = section.getBoundingClientRect();
-                const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
+                    const yOffset = lastScrollY * data.speed;
+                    const subtleRotation = Math.sin(lastScrollY * 0.002 + data.speed * 100) * 1.5;
 
-                if (isVisible) {
-                    const yOffset = lastScrollY * speed;
-                    const subtleRotation = Math.sin(lastScrollY * 0.002 + speed * 100) * 1.5;
-                    
                     // Combine parallax with base rotation
-                    element.style.transform = `translateY(${yOffset}px) rotate(${baseRotation + subtleRotation}deg)`;
-                }
-            });
-
-            if (Math.abs(lastScrollY - targetScrollY) > 0.5) {
-                rafId = requestAnimationFrame(updateSilhouettes);
-            } else {
-                rafId = null;
-            }
-        };
+                    data.element.style.transform = `translateY(${yOffset}px) rotate(${data.baseRotation + subtleRotation}deg)`;
+                });
 
-        const handleScroll = () => {
-            targetScrollY = window.pageYOffset;
-            if (!rafId) {
-                rafId = requestAnimationFrame(updateSilhouettes);
+                return Math.abs(lastScrollY - targetScrollY) > 0.5;
             }
-        };
+        });
 
-        window.addEventListener('scroll', handleScroll, { passive: true });
-        
-        // Initial update
-        targetScrollY = window.pageYOffset;
-        lastScrollY = targetScrollY;
-        updateSilhouettes();
+        ctx.onCleanup(() => {
+            silhouetteData.forEach(({ element, baseTransform }) => { element.style.transform = baseTransform; });
+        });
     }
 
     /**
@@ -316,7 +475,7 @@
     function getComputedRotation(element) {
         const style = window.getComputedStyle(element);
         const transform = style.transform || style.webkitTransform;
-        
+
         if (transform === 'none' || !transform) return 0;
 
         // Check for rotate in transform string
@@ -341,7 +500,7 @@
     /**
      * Control silhouette floating animations based on visibility
      */
-    function initSilhouetteAnimationControl() {
+    function initSilhouetteAnimationControl(ctx) {
         if (prefersReducedMotion || isMobile()) return;
 
         const silhouettes = document.querySelectorAll(
@@ -349,7 +508,7 @@
         );
         if (silhouettes.length === 0) return;
 
-        const observer = new IntersectionObserver((entries) => {
+        const observer = ctx.observe((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.style.animationPlayState = 'running';
@@ -363,29 +522,29 @@
             el.style.animationPlayState = 'paused';
             observer.observe(el);
         });
+        ctx.onCleanup(() => silhouettes.forEach(el => { el.style.animationPlayState = ''; }));
     }
 
     /**
      * Scroll-Triggered Reveal Animations
      * Elements fade in as they enter the viewport
      */
-    function initScrollReveal() {
+    function initScrollReveal(ctx) {
         if (!CONFIG.scrollRevealEnabled) return;
 
-        // Auto-add scroll animation classes
-        autoAddScrollClasses();
+        const pending = new Set();
 
-        const revealElements = document.querySelectorAll(
-            '.scroll-fade-in, .scroll-slide-left, .scroll-slide-right, .scroll-scale-in, ' +
-            '.reveal, .reveal-left, .reveal-right, .reveal-scale'
-        );
-        
-        if (revealElements.length === 0) return;
+        const reveal = el => {
+            el.classList.add('is-visible', 'active');
+            pending.delete(el);
+            emit(el, 'anim:reveal', { type: REVEAL_CLASSES.find(name => el.classList.contains(name)) });
+        };
 
-        const revealObserver = new IntersectionObserver((entries) => {
+        const revealObserver = ctx.observe((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    entry.target.classList.add('is-visible', 'active');
+                    revealObserver.unobserve(entry.target);
+                    reveal(entry.target);
                 }
             });
         }, {
@@ -393,53 +552,66 @@
             rootMargin: '0px 0px -50px 0px'
         });
 
-        revealElements.forEach(el => revealObserver.observe(el));
+        const add = root => {
+            // Auto-add scroll animation classes
+            autoAddScrollClasses(root);
+
+            within(root, REVEAL_CLASSES.map(name => `.${name}`).join(', ')).forEach(el => {
+                if (pending.has(el) || el.classList.contains('active')) return;
+                pending.add(el);
+                revealObserver.observe(el);
+            });
+        };
+
+        ctx.onRefresh(add);
+        // Nothing may stay hidden once the effect is gone
+        ctx.onCleanup(() => Array.from(pending).forEach(reveal));
+        add(document);
+    }
+
+    /**
+     * Give el a reveal class unless it has one or its markup chose otherwise
+     */
+    function markReveal(el, className, delay) {
+        if (el.dataset.animReveal || REVEAL_CLASSES.some(name => el.classList.contains(name))) return;
+        el.classList.add(className);
+        if (delay) el.style.transitionDelay = delay;
     }
 
     /**
      * Auto-add scroll animation classes to elements
      */
-    function autoAddScrollClasses() {
+    function autoAddScrollClasses(root) {
         // Section titles and subtitles
-        document.querySelectorAll('.section-title, .section-subtitle').forEach(el => {
-            if (!el.classList.contains('reveal') && !el.classList.contains('scroll-fade-in')) {
-                el.classList.add('reveal');
-            }
-        });
+        within(root, '.section-title, .section-subtitle').forEach(el => markReveal(el, 'reveal'));
 
         // Feature cards with stagger
-        document.querySelectorAll('.feature-card').forEach((card, index) => {
-            if (!card.classList.contains('reveal')) {
-                card.classList.add('reveal');
-                card.style.transitionDelay = `${0.1 + index * 0.1}s`;
-            }
+        within(root, '.feature-card').forEach((card, index) => {
+            markReveal(card, 'reveal', `${0.1 + index * 0.1}s`);
         });
 
         // Service cards
-        document.querySelectorAll('.service-card-new').forEach((card, index) => {
-            if (!card.classList.contains('reveal')) {
-                card.classList.add('reveal');
-                card.style.transitionDelay = `${0.1 + (index % 2) * 0.15}s`;
-            }
+        within(root, '.service-card-new').forEach((card, index) => {
+            markReveal(card, 'reveal', `${0.1 + (index % 2) * 0.15}s`);
         });
 
         // How cards
-        document.querySelectorAll('.how-card').forEach((card, index) => {
-            if (!card.classList.contains('reveal')) {
-                card.classList.add('reveal');
-                card.style.transitionDelay = `${0.1 + index * 0.1}s`;
-            }
+        within(root, '.how-card').forEach((card, index) => {
+            markReveal(card, 'reveal', `${0.1 + index * 0.1}s`);
         });
 
         // Quote section
-        const quoteCard = document.querySelector('.quote-card');
-        const quoteGraphic = document.querySelector('.quote-graphic');
-        if (quoteCard && !quoteCard.classList.contains('reveal-left')) {
-            quoteCard.classList.add('reveal-left');
-        }
-        if (quoteGraphic && !quoteGraphic.classList.contains('reveal-right')) {
-            quoteGraphic.classList.add('reveal-right');
-        }
+        within(root, '.quote-card').slice(0, 1).forEach(el => markReveal(el, 'reveal-left'));
+        within(root, '.quote-graphic').slice(0, 1).forEach(el => markReveal(el, 'reveal-right'));
+
+        // Declared in the markup
+        within(root, '[data-anim-reveal]').forEach(el => {
+            const className = REVEAL_TYPES[el.dataset.animReveal];
+            if (className && !el.classList.contains(className)) el.classList.add(className);
+        });
+        within(root, '[data-anim-delay]').forEach(el => {
+            el.style.transitionDelay = `${parseInt(el.dataset.animDelay, 10) || 0}ms`;
+        });
     }
 
     /**
@@ -447,32 +619,34 @@
      * Subtle movement of background decorative elements
      * Only moves bg-world-routes, NOT section-decorations (silhouettes)
      */
-    function initBackgroundSlide() {
+    function initBackgroundSlide(ctx) {
         if (prefersReducedMotion || isMobile()) return;
 
         // Only move bg-world-routes, not section-decorations
-        const bgElements = document.querySelectorAll('.bg-world-routes');
+        const bgElements = Array.from(document.querySelectorAll('.bg-world-routes')).filter(el => el.closest('section'));
         if (bgElements.length === 0) return;
 
-        const handleSlide = rafCallback(() => {
-            bgElements.forEach(el => {
-                const parent = el.closest('section');
-                if (!parent) return;
-
-                const rect = parent.getBoundingClientRect();
-                const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
-
-                if (isVisible) {
-                    const progress = (window.innerHeight - rect.top) / (window.innerHeight + rect.height);
+        const tracker = ctx.track(bgElements.map(el => el.closest('section')));
+        let measured = [];
+
+        ctx.schedule({
+            read: () => {
+                measured = bgElements
+                    .filter(el => tracker.visible.has(el.closest('section')))
+                    .map(el => [el, el.closest('section').getBoundingClientRect()]);
+            },
+            write: frame => {
+                measured.forEach(([el, rect]) => {
+                    const progress = (frame.height - rect.top) / (frame.height + rect.height);
                     const offset = (progress - 0.5) * 40; // Subtle 20px movement
-                    
+
                     // Apply subtle transform to bg-world-routes only
                     el.style.transform = `translateY(${offset}px)`;
-                }
-            });
+                });
+            }
         });
 
-        window.addEventListener('scroll', handleSlide, { passive: true });
+        ctx.onCleanup(() => bgElements.forEach(el => { el.style.transform = ''; }));
     }
 
     /**
@@ -480,106 +654,143 @@
      * Applies parallax effect to section ::before and ::after pseudo-elements
      * Uses CSS custom properties to animate pseudo-elements
      */
-    function initSectionBgParallax() {
+    function initSectionBgParallax(ctx) {
         if (prefersReducedMotion || isMobile()) return;
 
         const sections = document.querySelectorAll('.why, .services, .quote-section, .section.how');
         if (sections.length === 0) return;
 
-        const handleParallax = rafCallback(() => {
-            sections.forEach(section => {
-                const rect = section.getBoundingClientRect();
-                const isVisible = rect.top < window.innerHeight && rect.bottom > 0;
+        const tracker = ctx.track(sections);
+        let measured = [];
 
-                if (isVisible) {
-                    const progress = (window.innerHeight - rect.top) / (window.innerHeight + rect.height);
+        ctx.schedule({
+            read: () => {
+                measured = Array.from(tracker.visible, section => [section, section.getBoundingClientRect()]);
+            },
+            write: frame => {
+                measured.forEach(([section, rect]) => {
+                    const progress = (frame.height - rect.top) / (frame.height + rect.height);
                     const offset = (progress - 0.5) * 60; // 30px movement up/down
-                    
+
                     // Set CSS custom property for pseudo-element parallax
                     section.style.setProperty('--parallax-y', `${offset}px`);
-                }
-            });
+                });
+            }
         });
 
-        window.addEventListener('scroll', handleParallax, { passive: true });
-        // Initial call
-        handleParallax();
+        ctx.onCleanup(() => sections.forEach(section => section.style.removeProperty('--parallax-y')));
     }
 
     /**
      * Counter Animation for Statistics
+     * data-anim-duration (ms) and data-anim-format tune each counter
      */
-    function initCounterAnimation() {
-        const counters = document.querySelectorAll('[data-counter]');
-        if (counters.length === 0) return;
+    const COUNTER_FORMATS = {
+        grouped: value => value.toLocaleString(),
+        plain: value => String(value),
+        compact: value => new Intl.NumberFormat(undefined, { notation: 'compact' }).format(value)
+    };
+
+    function initCounterAnimation(ctx) {
+        const counters = new Set();
+        const running = new Map();    // counter -> finish()
+
+        function runCounter(target) {
+            const finalValue = parseInt(target.getAttribute('data-counter'), 10);
+            const duration = parseInt(target.dataset.animDuration, 10) || CONFIG.counterDuration;
+            const format = COUNTER_FORMATS[target.dataset.animFormat] || COUNTER_FORMATS.grouped;
+            const startTime = performance.now();
+            let frame = null;
+
+            const finish = () => {
+                cancelAnimationFrame(frame);
+                running.delete(target);
+                target.textContent = format(finalValue);
+                emit(target, 'anim:counter-done', { value: finalValue });
+            };
+
+            function updateCounter(currentTime) {
+                const elapsed = currentTime - startTime;
+                const progress = Math.min(elapsed / duration, 1);
+                const easeOutQuart = 1 - Math.pow(1 - progress, 4);
+                const currentValue = Math.floor(easeOutQuart * finalValue);
+
+                target.textContent = format(currentValue);
+
+                if (progress < 1) {
+                    frame = requestAnimationFrame(updateCounter);
+                } else {
+                    finish();
+                }
+            }
+
+            running.set(target, finish);
+            frame = requestAnimationFrame(updateCounter);
+        }
 
-        const counterObserver = new IntersectionObserver((entries) => {
+        const counterObserver = ctx.observe((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
-                    const target = entry.target;
-                    const finalValue = parseInt(target.getAttribute('data-counter'), 10);
-                    const duration = 2000;
-                    const startTime = performance.now();
-
-                    function updateCounter(currentTime) {
-                        const elapsed = currentTime - startTime;
-                        const progress = Math.min(elapsed / duration, 1);
-                        const easeOutQuart = 1 - Math.pow(1 - progress, 4);
-                        const currentValue = Math.floor(easeOutQuart * finalValue);
-                        
-                        target.textContent = currentValue.toLocaleString();
-
-                        if (progress < 1) {
-                            requestAnimationFrame(updateCounter);
-                        } else {
-                            target.textContent = finalValue.toLocaleString();
-                        }
-                    }
-
-                    requestAnimationFrame(updateCounter);
-                    counterObserver.unobserve(target);
+                    counterObserver.unobserve(entry.target);
+                    runCounter(entry.target);
                 }
             });
         }, { threshold: 0.5 });
 
-        counters.forEach(counter => counterObserver.observe(counter));
+        const add = root => within(root, '[data-counter]').forEach(counter => {
+            if (counters.has(counter)) return;
+            counters.add(counter);
+            counterObserver.observe(counter);
+        });
+
+        ctx.onRefresh(add);
+        // A counter cut off mid-count jumps to its final value
+        ctx.onCleanup(() => Array.from(running.values()).forEach(finish => finish()));
+        add(document);
     }
 
     /**
      * Magnetic Button Effect
      */
-    function initMagneticButtons() {
+    function initMagneticButtons(ctx) {
         if (prefersReducedMotion || isMobile()) return;
 
-        const buttons = document.querySelectorAll('.btn');
-        
-        buttons.forEach(btn => {
-            btn.addEventListener('mousemove', (e) => {
+        const buttons = new Set();
+
+        const add = root => within(root, '.btn').forEach(btn => {
+            if (buttons.has(btn)) return;
+            buttons.add(btn);
+
+            ctx.listen(btn, 'mousemove', (e) => {
                 const rect = btn.getBoundingClientRect();
                 const x = e.clientX - rect.left - rect.width / 2;
                 const y = e.clientY - rect.top - rect.height / 2;
-                
+
                 btn.style.transform = `translateY(-3px) scale(1.02) translate(${x * 0.08}px, ${y * 0.08}px)`;
             });
 
-            btn.addEventListener('mouseleave', () => {
+            ctx.listen(btn, 'mouseleave', () => {
                 btn.style.transform = '';
             });
         });
+
+        ctx.onRefresh(add);
+        ctx.onCleanup(() => buttons.forEach(btn => { btn.style.transform = ''; }));
+        add(document);
     }
 
     /**
      * Smooth Section Entrance
      * Trigger animations when sections come into view
      */
-    function initSectionEntrance() {
-        const sections = document.querySelectorAll('.section, .hero');
-        
-        const sectionObserver = new IntersectionObserver((entries) => {
+    function initSectionEntrance(ctx) {
+        const sections = new Set();
+
+        const sectionObserver = ctx.observe((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.classList.add('section-visible');
-                    
+
                     // Trigger child animations
                     const bgElements = entry.target.querySelector('.section-bg-elements, .hero-bg-elements');
                     if (bgElements) {
@@ -592,17 +803,24 @@
             rootMargin: '0px'
         });
 
-        sections.forEach(section => sectionObserver.observe(section));
+        const add = root => within(root, '.section, .hero').forEach(section => {
+            if (sections.has(section)) return;
+            sections.add(section);
+            sectionObserver.observe(section);
+        });
+
+        ctx.onRefresh(add);
+        add(document);
     }
 
     /**
      * Initialize Line Drawing Animation for How We Work section
      */
-    function initLineDrawing() {
+    function initLineDrawing(ctx) {
         const lineDesign = document.querySelector('.how-line-design');
         if (!lineDesign) return;
 
-        const observer = new IntersectionObserver((entries) => {
+        const observer = ctx.observe((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     lineDesign.classList.add('animate');
@@ -614,6 +832,136 @@
         observer.observe(lineDesign);
     }
 
+    /* ---------- Features ---------- */
+
+    // Start order matters: reveal classes are added before anything measures the page.
+    // desktop: only on larger, non-touch screens (the 3-layer parallax system)
+    const FEATURES = {
+        reveal: { setup: initScrollReveal, flag: 'scrollRevealEnabled' },
+        float: { setup: initFloatingAnimations, flag: 'floatEnabled' },
+        sectionEntrance: { setup: initSectionEntrance },
+        layeredParallax: { setup: initLayeredParallax, flag: 'layeredParallaxEnabled', desktop: true },
+        blobs: { setup: initBlobAnimationControl, desktop: true },
+        parallax: { setup: initParallax, flag: 'parallaxEnabled', desktop: true },
+        backgroundSlide: { setup: initBackgroundSlide, desktop: true },
+        sectionBgParallax: { setup: initSectionBgParallax, desktop: true },
+        magnetic: { setup: initMagneticButtons, desktop: true },
+        silhouetteParallax: { setup: initSilhouetteParallax, flag: 'silhouetteParallaxEnabled', desktop: true },
+        silhouettes: { setup: initSilhouetteAnimationControl, desktop: true },
+        counters: { setup: initCounterAnimation },
+        lineDrawing: { setup: initLineDrawing }
+    };
+
+    // name -> { cleanups, refresh } for every feature that is running
+    const active = new Map();
+
+    const isEnabled = name => CONFIG.features[name] !== false;
+
+    /**
+     * Start a feature; it only counts as running if it set something up
+     */
+    function start(name) {
+        const feature = FEATURES[name];
+        if (active.has(name) || !isEnabled(name)) return;
+        if (feature.desktop && (isMobile() || isLowPowerMode())) return;
+
+        const instance = { cleanups: [], refresh: null };
+        const ctx = {
+            listen(target, type, handler, options) {
+                target.addEventListener(type, handler, options);
+                instance.cleanups.push(() => target.removeEventListener(type, handler, options));
+            },
+            observe(callback, options) {
+                const observer = new IntersectionObserver(callback, options);
+                instance.cleanups.push(() => observer.disconnect());
+                return observer;
+            },
+            /**
+             * Live set of the elements currently in (or within rootMargin of) the viewport;
+             * a change asks the scheduler for a frame
+             */
+            track(elements, rootMargin = '0px') {
+                const visible = new Set();
+                const watched = new Set();
+                const observer = this.observe(entries => {
+                    entries.forEach(entry => {
+                        if (entry.isIntersecting) visible.add(entry.target);
+                        else visible.delete(entry.target);
+                    });
+                    scheduler.request();
+                }, { rootMargin });
+                const watch = el => {
+                    if (watched.has(el)) return;
+                    watched.add(el);
+                    observer.observe(el);
+                };
+                Array.from(elements).forEach(watch);
+                return { visible, watched, watch };
+            },
+            // Run effect.read / effect.write on the shared frame scheduler
+            schedule(effect) {
+                instance.cleanups.push(scheduler.register(name, effect));
+            },
+            onCleanup(fn) {
+                instance.cleanups.push(fn);
+            },
+            onRefresh(fn) {
+                instance.refresh = fn;
+            }
+        };
+
+        try {
+            feature.setup(ctx);
+        } catch (error) {
+            console.error(`Animation "${name}" failed:`, error);
+        }
+        if (instance.cleanups.length || instance.refresh) active.set(name, instance);
+    }
+
+    function stop(name) {
+        const instance = active.get(name);
+        if (!instance) return;
+        active.delete(name);
+        instance.cleanups.reverse().forEach(fn => {
+            try {
+                fn();
+            } catch (error) {
+                console.error(`Animation "${name}" cleanup failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Turn a feature on (and start it) or off (and undo it)
+     */
+    function setFeature(name, enabled) {
+        if (!FEATURES[name]) throw new Error(`Unknown animation feature "${name}"`);
+        CONFIG.features[name] = enabled;
+        if (FEATURES[name].flag) CONFIG[FEATURES[name].flag] = enabled;
+
+        if (enabled) start(name);
+        else stop(name);
+    }
+
+    /**
+     * Pick up elements added inside root since the features started, and start
+     * features that had nothing to work on before
+     */
+    function refresh(root = document) {
+        Object.keys(FEATURES).forEach(name => {
+            const instance = active.get(name);
+            if (instance && instance.refresh) instance.refresh(root);
+            else if (!instance) start(name);
+        });
+    }
+
+    /**
+     * Stop every feature and remove all listeners and observers
+     */
+    function destroy() {
+        Object.keys(FEATURES).reverse().forEach(stop);
+    }
+
     /**
      * Initialize all animations
      */
@@ -626,29 +974,10 @@
     }
 
     function initAll() {
-        // Core animations
-        initScrollReveal();
-        initFloatingAnimations();
-        initSectionEntrance();
-        
-        // 3-Layer Parallax System (desktop only)
-        if (!isMobile() && !isLowPowerMode()) {
-            initLayeredParallax();
-            initBlobAnimationControl();
-            initParallax();
-            initBackgroundSlide();
-            initSectionBgParallax(); // Section background parallax
-            initMagneticButtons();
-            // Silhouette SVG parallax and animation control
-            initSilhouetteParallax();
-            initSilhouetteAnimationControl();
-        }
-        
-        // Additional effects
-        initCounterAnimation();
-        initLineDrawing();
-        
-        console.log('✨ Premium animations initialized (section bg parallax: ' + (!isMobile() && !isLowPowerMode()) + ')');
+        Object.keys(FEATURES).forEach(start);
+        if (new URLSearchParams(window.location.search).has('anim-debug')) scheduler.debug(true);
+
+        console.log('✨ Premium animations initialized (section bg parallax: ' + active.has('sectionBgParallax') + ')');
     }
 
     // Run initialization
@@ -657,15 +986,24 @@
     // Export for potential external use
     window.PremiumAnimations = {
         init,
+        destroy,
+        refresh,
+        enable: name => setFeature(name, true),
+        disable: name => setFeature(name, false),
+        isRunning: name => active.has(name),
+        // Overlay with the scroll effects' cost per frame; also on with ?anim-debug in the URL
+        debug: on => scheduler.debug(on !== false),
+        stats: () => scheduler.stats(),
+        FEATURES: Object.keys(FEATURES),
         CONFIG,
         // Allow runtime toggling
         toggleParallax: (enabled) => {
-            CONFIG.layeredParallaxEnabled = enabled;
+            setFeature('layeredParallax', enabled);
             const container = document.querySelector('.parallax-bg-container');
             if (container) container.style.display = enabled ? '' : 'none';
         },
         toggleSilhouetteParallax: (enabled) => {
-            CONFIG.silhouetteParallaxEnabled = enabled;
+            setFeature('silhouetteParallax', enabled);
         }
     };
 
@@ -0,0 +1,209 @@
+/**
+ * City & Locality Autocomplete
+ * Accessible combobox (ARIA 1.2 list autocomplete) for the Moving From / Moving To inputs
+ * Suggestions come from city-data.js; the normalized city + locality is added to the lead payload
+ *
+ * Markup: <input data-autocomplete="from"> (the value becomes the key under payload.route)
+ */
+
+(function() {
+    'use strict';
+
+    let instanceCount = 0;
+
+    /**
+     * Visually hidden live region announcing the number of suggestions
+     */
+    function createAnnouncer(container) {
+        const announcer = document.createElement('span');
+        announcer.className = 'visually-hidden';
+        announcer.setAttribute('role', 'status');
+        announcer.setAttribute('aria-live', 'polite');
+        container.appendChild(announcer);
+        return announcer;
+    }
+
+    function highlight(label, query) {
+        const index = label.toLowerCase().indexOf(query.trim().toLowerCase());
+        const escape = text => text.replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+        if (!query.trim() || index === -1) return escape(label);
+
+        const end = index + query.trim().length;
+        return `${escape(label.slice(0, index))}<mark>${escape(label.slice(index, end))}</mark>${escape(label.slice(end))}`;
+    }
+
+    /**
+     * Turn a text input into a combobox
+     */
+    function attach(input) {
+        const id = `city-combobox-${++instanceCount}`;
+        const container = input.parentNode;
+
+        const listbox = document.createElement('ul');
+        listbox.className = 'combobox-list';
+        listbox.id = `${id}-list`;
+        listbox.setAttribute('role', 'listbox');
+        listbox.setAttribute('aria-label', 'Suggested cities and localities');
+        listbox.hidden = true;
+
+        container.classList.add('combobox');
+        container.appendChild(listbox);
+        const announcer = createAnnouncer(container);
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('autocomplete', 'off');
+
+        let results = [];
+        let activeIndex = -1;
+        let selecting = false;
+
+        function setActive(index) {
+            const options = listbox.querySelectorAll('[role="option"]');
+            activeIndex = index;
+
+            options.forEach((option, i) => {
+                const active = i === index;
+                option.classList.toggle('is-active', active);
+                option.setAttribute('aria-selected', String(active));
+                if (active) option.scrollIntoView({ block: 'nearest' });
+            });
+
+            if (index >= 0) {
+                input.setAttribute('aria-activedescendant', options[index].id);
+            } else {
+                input.removeAttribute('aria-activedescendant');
+            }
+        }
+
+        function open() {
+            if (results.length === 0) return;
+            listbox.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+        }
+
+        function close() {
+            listbox.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            setActive(-1);
+        }
+
+        function render() {
+            results = window.CityData.search(input.value);
+            listbox.innerHTML = results.map((entry, i) => `
+                <li role="option" id="${id}-option-${i}" class="combobox-option" aria-selected="false" data-index="${i}">
+                    <span class="combobox-option-label">${highlight(entry.label, input.value)}</span>
+                    <span class="combobox-option-meta">${entry.locality ? 'Locality' : entry.city.state}</span>
+                </li>
+            `).join('');
+
+            announcer.textContent = input.value.trim()
+                ? `${results.length} suggestion${results.length === 1 ? '' : 's'} available.`
+                : '';
+
+            if (results.length > 0) {
+                open();
+                setActive(-1);
+            } else {
+                close();
+            }
+        }
+
+        function select(index) {
+            const entry = results[index];
+            if (!entry) return;
+
+            input.value = entry.label;
+            close();
+
+            // Let the estimator and validation react as if the user typed it
+            selecting = true;
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.dispatchEvent(new Event('change', { bubbles: true }));
+            selecting = false;
+        }
+
+        input.addEventListener('input', () => {
+            if (!selecting) render();
+        });
+
+        input.addEventListener('keydown', e => {
+            const expanded = !listbox.hidden;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    if (!expanded) {
+                        render();
+                        if (e.altKey) return;
+                    }
+                    setActive(activeIndex + 1 >= results.length ? 0 : activeIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    if (!expanded) render();
+                    setActive(activeIndex <= 0 ? results.length - 1 : activeIndex - 1);
+                    break;
+                case 'Enter':
+                    if (expanded && activeIndex >= 0) {
+                        e.preventDefault();
+                        select(activeIndex);
+                    }
+                    break;
+                case 'Escape':
+                    if (expanded) {
+                        e.preventDefault();
+                        close();
+                    }
+                    break;
+                case 'Tab':
+                    close();
+                    break;
+            }
+        });
+
+        // mousedown keeps focus in the input so blur doesn't close the list first
+        listbox.addEventListener('mousedown', e => e.preventDefault());
+        listbox.addEventListener('click', e => {
+            const option = e.target.closest('[role="option"]');
+            if (option) select(Number(option.dataset.index));
+        });
+
+        input.addEventListener('blur', close);
+    }
+
+    function init() {
+        if (!window.CityData) return;
+        document.querySelectorAll('input[data-autocomplete]').forEach(attach);
+    }
+
+    // Send the normalized city and locality alongside the free text
+    if (window.FormEngine) {
+        window.FormEngine.addPayloadHook((payload, form) => {
+            const inputs = form.querySelectorAll('input[data-autocomplete]');
+            if (inputs.length === 0) return payload;
+
+            payload.route = {};
+            inputs.forEach(input => {
+                // Typed text that was never picked from the list falls back to the best fuzzy match
+                const match = window.CityData.bestMatch(input.value);
+                payload.route[input.dataset.autocomplete] = {
+                    input: input.value.trim(),
+                    city: match ? match.city.name : null,
+                    state: match ? match.city.state : null,
+                    locality: match ? match.locality : null,
+                    match: match ? match.match : 'none'
+                };
+            });
+            return payload;
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,310 @@
+/**
+ * City Data
+ * Cities with a car-carrier-service-in-<slug>.html landing page, their aliases
+ * and the localities listed as area tags on each city page
+ * Coordinates are city centres, used for road-distance estimates
+ */
+
+(function() {
+    'use strict';
+
+    // BEGIN GENERATED: cities (data/cities.json, node generator)
+    const CITIES = [
+        {
+            slug: 'delhi', name: 'Delhi', state: 'Delhi', region: 'NCR Region',
+            lat: 28.6139, lng: 77.2090,
+            aliases: ['New Delhi'],
+            localities: [
+                'Connaught Place', 'Dwarka', 'Rohini', 'Janakpuri', 'Saket', 'Greater Kailash',
+                'Vasant Kunj', 'Lajpat Nagar', 'Karol Bagh', 'Pitampura', 'Mayur Vihar', 'Nehru Place',
+                'Rajouri Garden', 'Preet Vihar', 'Shahdara', 'Uttam Nagar', 'Vikaspuri', 'Paschim Vihar'
+            ]
+        },
+        {
+            slug: 'gurgaon', name: 'Gurgaon', state: 'Haryana', region: 'NCR Region',
+            lat: 28.4595, lng: 77.0266,
+            aliases: ['Gurugram'],
+            localities: [
+                'DLF Phase 1', 'DLF Phase 2', 'DLF Phase 3', 'DLF Phase 4', 'DLF Phase 5', 'Sector 14',
+                'Sector 21', 'Sector 29', 'Sector 40', 'Sector 45', 'Sector 56', 'Sector 72',
+                'Golf Course Road', 'Sohna Road', 'MG Road', 'Cyber City', 'Udyog Vihar', 'Manesar',
+                'Ashok Vihar', 'Palam Vihar'
+            ]
+        },
+        {
+            slug: 'noida', name: 'Noida', state: 'Uttar Pradesh', region: 'NCR Region',
+            lat: 28.5355, lng: 77.3910,
+            aliases: [],
+            localities: [
+                'Sector 18', 'Sector 62', 'Sector 63', 'Sector 15', 'Sector 16', 'Sector 44',
+                'Sector 50', 'Sector 76', 'Sector 137', 'Sector 142', 'Noida Extension', 'Greater Noida',
+                'Knowledge Park', 'Pari Chowk', 'Alpha 1 & 2'
+            ]
+        },
+        {
+            slug: 'faridabad', name: 'Faridabad', state: 'Haryana', region: 'NCR Region',
+            lat: 28.4089, lng: 77.3178,
+            aliases: [],
+            localities: []
+        },
+        {
+            slug: 'ghaziabad', name: 'Ghaziabad', state: 'Uttar Pradesh', region: 'NCR Region',
+            lat: 28.6692, lng: 77.4538,
+            aliases: [],
+            localities: []
+        },
+        {
+            slug: 'mumbai', name: 'Mumbai', state: 'Maharashtra', region: 'Metro Cities',
+            lat: 19.0760, lng: 72.8777,
+            aliases: ['Bombay'],
+            localities: [
+                'Andheri East', 'Andheri West', 'Bandra East', 'Bandra West', 'Bhandup West', 'Borivali East',
+                'Borivali West', 'Chandivali', 'Chembur', 'Dadar West', 'Ghatkopar East', 'Goregaon',
+                'Kandivali', 'Kurla', 'Malad', 'Powai', 'Thane', 'Navi Mumbai',
+                'Vashi', 'Panvel'
+            ]
+        },
+        {
+            slug: 'bangalore', name: 'Bangalore', state: 'Karnataka', region: 'Metro Cities',
+            lat: 12.9716, lng: 77.5946,
+            aliases: ['Bengaluru'],
+            localities: [
+                'Whitefield', 'Electronic City', 'Koramangala', 'HSR Layout', 'Marathahalli', 'Indiranagar',
+                'Jayanagar', 'JP Nagar', 'BTM Layout', 'Bannerghatta Road', 'Sarjapur Road', 'Hebbal',
+                'Yelahanka', 'Rajajinagar', 'Malleswaram', 'Basavanagudi', 'Banashankari', 'KR Puram'
+            ]
+        },
+        {
+            slug: 'chennai', name: 'Chennai', state: 'Tamil Nadu', region: 'Metro Cities',
+            lat: 13.0827, lng: 80.2707,
+            aliases: ['Madras'],
+            localities: [
+                'Ambattur', 'Anna Nagar', 'Ashok Nagar', 'Adyar', 'Adambakkam', 'Chromepet',
+                'Mylapore', 'Pallavaram', 'Madipakkam', 'Medavakkam', 'T. Nagar', 'Velachery',
+                'Porur', 'Tambaram', 'Guindy', 'OMR', 'Sholinganallur', 'Nungambakkam',
+                'Ambattur Industrial Estate', 'Avadi', 'Padi', 'Korattur', 'Mogappair', 'Thirumullaivoyal',
+                'Poonamallee', 'Kolathur', 'Villivakkam', 'Madhavaram', 'Redhills'
+            ]
+        },
+        {
+            slug: 'hyderabad', name: 'Hyderabad', state: 'Telangana', region: 'Metro Cities',
+            lat: 17.3850, lng: 78.4867,
+            aliases: [],
+            localities: [
+                'HITEC City', 'Gachibowli', 'Jubilee Hills', 'Banjara Hills', 'Secunderabad', 'Madhapur',
+                'Kondapur', 'Kukatpally', 'Miyapur', 'Ameerpet', 'Dilsukhnagar', 'LB Nagar',
+                'Uppal', 'Begumpet', 'Shamshabad', 'Manikonda', 'Attapur', 'Tolichowki'
+            ]
+        },
+        {
+            slug: 'kolkata', name: 'Kolkata', state: 'West Bengal', region: 'Metro Cities',
+            lat: 22.5726, lng: 88.3639,
+            aliases: ['Calcutta'],
+            localities: [
+                'Salt Lake City', 'New Town', 'Rajarhat', 'Park Street', 'Ballygunge', 'Alipore',
+                'Gariahat', 'Behala', 'Tollygunge', 'Howrah', 'Dum Dum', 'Lake Town',
+                'Kasba', 'Jadavpur', 'Golf Green'
+            ]
+        },
+        {
+            slug: 'pune', name: 'Pune', state: 'Maharashtra', region: 'Metro Cities',
+            lat: 18.5204, lng: 73.8567,
+            aliases: ['Poona'],
+            localities: [
+                'Hinjewadi', 'Kothrud', 'Wakad', 'Baner', 'Viman Nagar', 'Kharadi',
+                'Koregaon Park', 'Aundh', 'Hadapsar', 'Magarpatta', 'Pimpri-Chinchwad', 'Shivaji Nagar',
+                'Kalyani Nagar', 'Deccan', 'Camp', 'Bavdhan', 'Pashan', 'Warje'
+            ]
+        },
+        {
+            slug: 'ahmedabad', name: 'Ahmedabad', state: 'Gujarat', region: 'West India',
+            lat: 23.0225, lng: 72.5714,
+            aliases: ['Amdavad'],
+            localities: [
+                'SG Highway', 'Satellite', 'Vastrapur', 'Bodakdev', 'Prahlad Nagar', 'Navrangpura',
+                'Bopal', 'Thaltej', 'Maninagar', 'Chandkheda', 'Gota', 'Motera',
+                'Naroda', 'Gandhinagar', 'GIFT City'
+            ]
+        },
+        {
+            slug: 'indore', name: 'Indore', state: 'Madhya Pradesh', region: 'West India',
+            lat: 22.7196, lng: 75.8577,
+            aliases: [],
+            localities: []
+        },
+        {
+            slug: 'nagpur', name: 'Nagpur', state: 'Maharashtra', region: 'West India',
+            lat: 21.1458, lng: 79.0882,
+            aliases: [],
+            localities: []
+        },
+        {
+            slug: 'jaipur', name: 'Jaipur', state: 'Rajasthan', region: 'North India',
+            lat: 26.9124, lng: 75.7873,
+            aliases: [],
+            localities: [
+                'Malviya Nagar', 'Vaishali Nagar', 'C-Scheme', 'Mansarovar', 'Raja Park', 'Tonk Road',
+                'Jagatpura', 'Sitapura', 'Sanganer', 'Jhotwara', 'Vidhyadhar Nagar', 'Sodala',
+                'MI Road', 'Bani Park', 'Civil Lines'
+            ]
+        },
+        {
+            slug: 'lucknow', name: 'Lucknow', state: 'Uttar Pradesh', region: 'North India',
+            lat: 26.8467, lng: 80.9462,
+            aliases: [],
+            localities: []
+        },
+        {
+            slug: 'chandigarh', name: 'Chandigarh', state: 'Chandigarh', region: 'North India',
+            lat: 30.7333, lng: 76.7794,
+            aliases: [],
+            localities: []
+        },
+        {
+            slug: 'kochi', name: 'Kochi', state: 'Kerala', region: 'South India',
+            lat: 9.9312, lng: 76.2673,
+            aliases: ['Cochin', 'Ernakulam'],
+            localities: []
+        },
+        {
+            slug: 'coimbatore', name: 'Coimbatore', state: 'Tamil Nadu', region: 'South India',
+            lat: 11.0168, lng: 76.9558,
+            aliases: ['Kovai'],
+            localities: []
+        }
+    ];
+    // END GENERATED: cities
+
+    const normalize = value => (value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    const MAX_SUGGESTIONS = 8;
+
+    // One searchable entry per city and per locality
+    const ENTRIES = CITIES.reduce((entries, city) => {
+        entries.push({ label: city.name, city, locality: null, terms: [city.name, ...city.aliases] });
+        city.localities.forEach(locality => {
+            entries.push({ label: `${locality}, ${city.name}`, city, locality, terms: [locality] });
+        });
+        return entries;
+    }, []).map(entry => ({
+        ...entry,
+        keys: entry.terms.map(normalize),
+        words: entry.terms.join(' ').split(/\s+/).map(normalize)
+    }));
+
+    /**
+     * Levenshtein edit distance, for typo tolerance ("banglore" -> "bangalore")
+     */
+    function editDistance(a, b) {
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            for (let j = 1; j <= b.length; j++) {
+                row[j] = Math.min(
+                    prev[j] + 1,
+                    row[j - 1] + 1,
+                    prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            prev = row;
+        }
+        return prev[b.length];
+    }
+
+    /**
+     * Score how well a normalized query matches a normalized term (0 = no match)
+     */
+    function scoreTerm(query, term) {
+        if (term === query) return 100;
+        if (term.startsWith(query)) return 90;
+        if (term.includes(query)) return 70;
+
+        if (query.length < 4) return 0;
+        const tolerance = Math.max(1, Math.floor(query.length / 4));
+        const distance = Math.min(editDistance(query, term), editDistance(query, term.slice(0, query.length)));
+        return distance <= tolerance ? 60 - distance * 10 : 0;
+    }
+
+    /**
+     * Fuzzy search over cities, aliases and localities
+     * Cities rank above their own localities on equal scores
+     */
+    function search(query, limit = MAX_SUGGESTIONS) {
+        const key = normalize(query);
+        if (!key) return [];
+
+        return ENTRIES
+            .map(entry => {
+                const termScore = Math.max(...entry.keys.map(term => scoreTerm(key, term)));
+                const wordScore = entry.words.some(word => word.startsWith(key)) ? 80 : 0;
+                return { entry, score: Math.max(termScore, wordScore) + (entry.locality ? 0 : 5) };
+            })
+            .filter(result => result.score > 5)
+            .sort((a, b) => b.score - a.score || a.entry.label.localeCompare(b.entry.label))
+            .slice(0, limit)
+            .map(result => result.entry);
+    }
+
+    function matchCity(segment) {
+        const key = normalize(segment);
+        return CITIES.find(city =>
+            normalize(city.name) === key || city.aliases.some(alias => normalize(alias) === key)
+        ) || null;
+    }
+
+    /**
+     * Resolve free text ("Bengaluru", "Wakad, Pune", "Pune, Maharashtra") to { city, locality }
+     * Only exact names/aliases count here; returns null when no city can be identified
+     */
+    function resolve(query) {
+        const segments = (query || '').split(',').map(part => part.trim()).filter(Boolean);
+        if (segments.length === 0) return null;
+
+        let city = segments.map(matchCity).find(Boolean) || null;
+        let locality = null;
+
+        segments.some(segment => {
+            const key = normalize(segment);
+            const pool = city ? [city] : CITIES;
+            return pool.some(candidate => {
+                const match = candidate.localities.find(name => normalize(name) === key);
+                if (match) {
+                    city = candidate;
+                    locality = match;
+                }
+                return Boolean(match);
+            });
+        });
+
+        return city ? { city, locality } : null;
+    }
+
+    /**
+     * Resolve free text to a city entry, or null
+     */
+    function findCity(query) {
+        const result = resolve(query);
+        return result ? result.city : null;
+    }
+
+    /**
+     * Resolve free text as the autocomplete does: exactly when possible, otherwise the best
+     * fuzzy suggestion (typos like "Banglore"). Returns { city, locality, match } with match
+     * 'exact' or 'fuzzy', or null when nothing matches
+     */
+    function bestMatch(query) {
+        const exact = resolve(query);
+        if (exact) return { ...exact, match: 'exact' };
+        const entry = search(query, 1)[0];
+        return entry ? { city: entry.city, locality: entry.locality, match: 'fuzzy' } : null;
+    }
+
+    window.CityData = {
+        CITIES,
+        search,
+        resolve,
+        findCity,
+        bestMatch
+    };
+})();
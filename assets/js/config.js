@@ -0,0 +1,58 @@
+/**
+ * Site Configuration
+ * Single place for values shared by every page script (API endpoints, contact details)
+ * Load this before any script that reads window.SiteConfig
+ */
+
+(function() {
+    'use strict';
+
+    // Pages served by the local lead server (`node server`) post to it instead of the hosted API
+    const LOCAL = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+    const API_BASE = LOCAL ? '' : 'https://shreepackways-smtp.vercel.app';
+
+    window.SiteConfig = {
+        // Lead form endpoints, keyed by the name a form schema refers to
+        endpoints: {
+            sendEmail: API_BASE + '/api/send-email',
+            // Booking wizard; the hosted API only implements send-email, which accepts the same body
+            inquiry: API_BASE + (LOCAL ? '/api/inquiry' : '/api/send-email'),
+            // Shipment status; {lr} is replaced with the consignment number.
+            // Points at the bundled mock data until the live tracking API is available.
+            tracking: 'mock/tracking/{lr}.json',
+            // Client reviews for the testimonials carousel. The bundled feed is flagged
+            // "sample", so no review structured data is emitted until real reviews replace it.
+            reviews: 'mock/reviews.json',
+            // Analytics event collector (server/events.js); only the local server has one so far
+            events: LOCAL ? '/api/events' : null,
+            // Anti-spam challenge the lead stamp is bound to (server/spam.js); local server only
+            challenge: LOCAL ? '/api/challenge' : null
+        },
+
+        // analytics.js: where events go. Nothing is sent before the visitor agrees to analytics.
+        analytics: {
+            sinks: LOCAL ? ['console', 'collector'] : ['dataLayer'],
+            requireConsent: true
+        },
+
+        // form-drafts.js: how long an unsent lead form is kept on this device
+        drafts: {
+            expiryHours: 72
+        },
+
+        contact: {
+            phone: '+919953228020',
+            phoneDisplay: '+91 995-322-8020',
+            email: 'info@shreepackways.com',
+            // wa.me number: country code and number, digits only
+            whatsapp: '919953228020',
+            // Office hours in India time, as shown in the top bar; days are 0 (Sunday) to 6
+            hours: {
+                timeZone: 'Asia/Kolkata',
+                days: [1, 2, 3, 4, 5],
+                open: '08:00',
+                close: '17:00'
+            }
+        }
+    };
+})();
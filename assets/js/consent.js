@@ -0,0 +1,363 @@
+/**
+ * Consent Manager
+ * Cookie/storage consent banner and preferences dialog, grouped into categories:
+ *   necessary  always on: form drafts, language choice, this consent record
+ *   analytics  analytics.js events
+ *   marketing  third-party content: Google Fonts, embedded maps, remote images, ad tags
+ * The choice is stored with CONSENT_VERSION; bumping the version (new purposes) asks again.
+ *
+ * Gated markup stays inert until its category is allowed:
+ *   <link rel="stylesheet" data-consent="marketing" data-consent-href="https://fonts.googleapis.com/...">
+ *   <iframe data-consent="marketing" data-consent-src="https://www.google.com/maps/embed?..." title="Map"></iframe>
+ *   <img data-consent="marketing" data-consent-src="https://images.example.com/photo.jpg" alt="">
+ * Iframes get a placeholder with a "load once" button while blocked.
+ * Any [data-consent-open] element reopens the preferences.
+ *
+ * Scripts: Consent.has('analytics'), Consent.whenGranted('marketing', load),
+ * Consent.subscribe(state => ...); "consent:change" also fires on document.
+ */
+
+(function() {
+    'use strict';
+
+    const CONSENT_VERSION = 1;
+    const STORAGE_KEY = 'spw-consent';
+    const MAX_AGE_DAYS = 365;       // ask again after a year
+
+    const CATEGORIES = {
+        necessary: {
+            title: 'Necessary',
+            description: 'Keeps the site working: your language, unsent form drafts and this choice. Always on.',
+            required: true
+        },
+        analytics: {
+            title: 'Analytics',
+            description: 'Counts visits, calls and form use so we can see which pages help customers. No advertising.'
+        },
+        marketing: {
+            title: 'Marketing & third-party content',
+            description: 'Google Fonts, Google Maps and images hosted elsewhere, which share your IP address with those services.'
+        }
+    };
+
+    const subscribers = [];
+    let record = readRecord();
+    let banner = null;
+    let modal = null;
+    let returnFocus = null;
+
+    /* ---------- Stored choice ---------- */
+
+    function readRecord() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            const age = stored && (Date.now() - new Date(stored.updatedAt)) / 86400000;
+            return stored && stored.version === CONSENT_VERSION && age < MAX_AGE_DAYS ? stored : null;
+        } catch (error) {
+            return null; // unreadable or blocked storage: undecided
+        }
+    }
+
+    function writeRecord(categories) {
+        record = { version: CONSENT_VERSION, categories, updatedAt: new Date().toISOString() };
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+        } catch (error) {
+            // Kept for this page only; the banner returns on the next one
+        }
+    }
+
+    /**
+     * Every category's current state; optional ones are off until chosen
+     */
+    function getState() {
+        return Object.keys(CATEGORIES).reduce((state, key) => {
+            state[key] = Boolean(CATEGORIES[key].required || (record && record.categories[key]));
+            return state;
+        }, {});
+    }
+
+    function has(category) {
+        return Boolean(getState()[category]);
+    }
+
+    /* ---------- Applying the choice ---------- */
+
+    function placeholderFor(frame) {
+        let placeholder = frame.previousElementSibling;
+        if (placeholder && placeholder.classList.contains('consent-placeholder')) return placeholder;
+
+        placeholder = document.createElement('div');
+        placeholder.className = 'consent-placeholder';
+        placeholder.innerHTML = `
+            <p data-i18n="consent.blocked">This content is provided by a third party and is blocked by your privacy settings.</p>
+            <div class="consent-placeholder-actions">
+                <button type="button" class="btn btn-small" data-consent-load data-i18n="consent.loadOnce">Load it once</button>
+                <button type="button" class="btn btn-small btn-outline" data-consent-open data-i18n="consent.settings">Privacy settings</button>
+            </div>`;
+        placeholder.querySelector('[data-consent-load]').addEventListener('click', () => {
+            frame.src = frame.dataset.consentSrc;
+            frame.hidden = false;
+            placeholder.remove();
+        });
+        frame.parentNode.insertBefore(placeholder, frame);
+        if (window.I18n) window.I18n.translate(placeholder);
+        return placeholder;
+    }
+
+    /**
+     * Load (or unload) every gated resource for the current state
+     */
+    function applyResources(scope = document) {
+        const state = getState();
+
+        scope.querySelectorAll('[data-consent]').forEach(el => {
+            const allowed = state[el.dataset.consent];
+            const attr = el.dataset.consentHref ? 'href' : 'src';
+            const url = el.dataset.consentHref || el.dataset.consentSrc;
+            if (!url) return;
+
+            if (allowed) {
+                if (el.getAttribute(attr) !== url) el.setAttribute(attr, url);
+                if (el.tagName === 'IFRAME') {
+                    el.hidden = false;
+                    const placeholder = el.previousElementSibling;
+                    if (placeholder && placeholder.classList.contains('consent-placeholder')) placeholder.remove();
+                }
+            } else {
+                el.removeAttribute(attr);
+                if (el.tagName === 'IFRAME') {
+                    el.hidden = true;
+                    placeholderFor(el);
+                }
+            }
+        });
+
+        Object.keys(state).forEach(key => document.documentElement.classList.toggle(`consent-${key}`, state[key]));
+    }
+
+    function notify() {
+        const state = getState();
+        applyResources();
+        subscribers.slice().forEach(fn => {
+            try {
+                fn(state);
+            } catch (error) {
+                console.error('Error:', error);
+            }
+        });
+        document.dispatchEvent(new CustomEvent('consent:change', { detail: state }));
+    }
+
+    /**
+     * Call fn(state) whenever the choice changes; returns an unsubscribe function
+     */
+    function subscribe(fn) {
+        subscribers.push(fn);
+        return () => {
+            if (subscribers.includes(fn)) subscribers.splice(subscribers.indexOf(fn), 1);
+        };
+    }
+
+    /**
+     * Run fn once the category is allowed: now, or when the visitor allows it
+     */
+    function whenGranted(category, fn) {
+        if (has(category)) {
+            fn();
+            return;
+        }
+        const unsubscribe = subscribe(state => {
+            if (!state[category]) return;
+            unsubscribe();
+            fn();
+        });
+    }
+
+    /**
+     * Store a choice ({ analytics: true, marketing: false }); missing categories are off
+     */
+    function save(choice) {
+        const categories = Object.keys(CATEGORIES)
+            .filter(key => !CATEGORIES[key].required)
+            .reduce((chosen, key) => {
+                chosen[key] = Boolean(choice[key]);
+                return chosen;
+            }, {});
+
+        writeRecord(categories);
+        hideBanner();
+        closePreferences();
+        notify();
+    }
+
+    const optional = value => Object.keys(CATEGORIES).reduce((choice, key) => {
+        if (!CATEGORIES[key].required) choice[key] = value;
+        return choice;
+    }, {});
+
+    const acceptAll = () => save(optional(true));
+    const rejectAll = () => save(optional(false));
+
+    /* ---------- Banner ---------- */
+
+    function showBanner() {
+        if (banner) {
+            banner.hidden = false;
+            return;
+        }
+
+        banner = document.createElement('div');
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Privacy choices');
+        banner.setAttribute('data-i18n-aria-label', 'consent.bannerLabel');
+        banner.innerHTML = `
+            <p class="consent-banner-text" data-i18n="consent.bannerText">
+                We use necessary storage to run this site. With your permission we also measure visits and
+                load fonts and maps from Google.
+            </p>
+            <div class="consent-actions">
+                <button type="button" class="btn btn-small btn-outline" data-consent-open data-i18n="consent.preferences">Preferences</button>
+                <button type="button" class="btn btn-small btn-outline" data-consent-reject data-i18n="consent.reject">Only necessary</button>
+                <button type="button" class="btn btn-small" data-consent-accept data-i18n="consent.acceptAll">Accept all</button>
+            </div>`;
+        banner.querySelector('[data-consent-reject]').addEventListener('click', rejectAll);
+        banner.querySelector('[data-consent-accept]').addEventListener('click', acceptAll);
+
+        document.body.appendChild(banner);
+        if (window.I18n) window.I18n.translate(banner);
+    }
+
+    function hideBanner() {
+        if (banner) banner.hidden = true;
+    }
+
+    /* ---------- Preferences dialog ---------- */
+
+    function buildPreferences() {
+        modal = document.createElement('div');
+        modal.className = 'consent-modal';
+        modal.hidden = true;
+        modal.innerHTML = `
+            <div class="consent-dialog" role="dialog" aria-modal="true" aria-labelledby="consentTitle">
+                <button type="button" class="consent-close" data-consent-close aria-label="Close" data-i18n-aria-label="consent.close">×</button>
+                <h2 id="consentTitle" data-i18n="consent.title">Privacy preferences</h2>
+                <p data-i18n="consent.intro">Choose what this site may use. You can change this any time from the link in the footer.</p>
+                <form class="consent-form">
+                    ${Object.keys(CATEGORIES).map(key => `
+                        <div class="consent-category">
+                            <label class="consent-category-label">
+                                <input type="checkbox" name="${key}"${CATEGORIES[key].required ? ' checked disabled' : ''}>
+                                <strong data-i18n="consent.categories.${key}.title">${CATEGORIES[key].title}</strong>
+                            </label>
+                            <p data-i18n="consent.categories.${key}.description">${CATEGORIES[key].description}</p>
+                        </div>`).join('')}
+                    <div class="consent-actions">
+                        <button type="submit" class="btn btn-small btn-outline" data-i18n="consent.save">Save choices</button>
+                        <button type="button" class="btn btn-small" data-consent-accept data-i18n="consent.acceptAll">Accept all</button>
+                    </div>
+                </form>
+            </div>`;
+
+        const form = modal.querySelector('form');
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            save(Object.keys(CATEGORIES).reduce((choice, key) => {
+                choice[key] = form.elements[key].checked;
+                return choice;
+            }, {}));
+        });
+        modal.querySelector('[data-consent-accept]').addEventListener('click', acceptAll);
+        modal.querySelector('[data-consent-close]').addEventListener('click', closePreferences);
+        modal.addEventListener('click', event => {
+            if (event.target === modal) closePreferences();
+        });
+        modal.addEventListener('keydown', trapFocus);
+
+        document.body.appendChild(modal);
+    }
+
+    function focusable() {
+        return Array.from(modal.querySelectorAll('button, input:not([disabled]), a[href]')).filter(el => !el.hidden);
+    }
+
+    function trapFocus(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closePreferences();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+
+        const items = focusable();
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    function openPreferences() {
+        if (!modal) buildPreferences();
+
+        const state = getState();
+        Object.keys(state).forEach(key => {
+            modal.querySelector(`input[name="${key}"]`).checked = state[key];
+        });
+        if (window.I18n) window.I18n.translate(modal);
+
+        returnFocus = document.activeElement;
+        modal.hidden = false;
+        document.body.classList.add('consent-modal-open');
+        modal.querySelector('input:not([disabled])').focus();
+    }
+
+    function closePreferences() {
+        if (!modal || modal.hidden) return;
+        modal.hidden = true;
+        document.body.classList.remove('consent-modal-open');
+        if (returnFocus && document.contains(returnFocus)) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    /* ---------- Setup ---------- */
+
+    function init() {
+        document.addEventListener('click', event => {
+            if (!event.target.closest('[data-consent-open]')) return;
+            event.preventDefault();
+            openPreferences();
+        });
+
+        applyResources();
+        if (!record) showBanner();
+    }
+
+    // Expose for other modules
+    window.Consent = {
+        CATEGORIES,
+        VERSION: CONSENT_VERSION,
+        has,
+        whenGranted,
+        subscribe,
+        save,
+        acceptAll,
+        rejectAll,
+        open: openPreferences,
+        apply: applyResources,
+        get decided() { return Boolean(record); },
+        get state() { return getState(); }
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,233 @@
+/**
+ * Quick Contact Widget
+ * Floating WhatsApp and call buttons on every page. The WhatsApp link is a wa.me chat whose
+ * message carries whatever the visitor has already typed into a quote form (name, moving
+ * from/to, vehicle) and the city of the page they are on (<body data-city="Pune">).
+ *
+ * The status line follows the office hours in SiteConfig.contact.hours: "call now" while
+ * the office is open, "we'll reply in the morning" once it has closed.
+ * WhatsApp clicks are counted as whatsapp_click; the call button is an ordinary tel: link,
+ * which analytics.js already counts as call_click.
+ * Requires config.js; uses analytics.js and i18n.js when the page has them.
+ */
+
+(function() {
+    'use strict';
+
+    const QUOTE_FORMS = '.quote-form, #inquiryForm';
+
+    // Message line -> form fields that can fill it, first non-empty wins
+    const DETAILS = {
+        name: ['name'],
+        from: ['movingFrom', 'fromCity'],
+        to: ['movingTo', 'toCity'],
+        vehicle: ['vehicle']
+    };
+
+    const MESSAGE = {
+        greeting: 'Hi Shree Packways, I would like a quote for car transport.',
+        name: 'Name: {value}',
+        from: 'From: {value}',
+        to: 'To: {value}',
+        vehicle: 'Vehicle: {value}',
+        city: 'Seen on your {city} page.'
+    };
+
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const STATUS_INTERVAL = 60000;  // ms between office-hours checks
+
+    const contact = window.SiteConfig.contact;
+    let widget = null;
+    let lastForm = null;
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    const toMinutes = time => {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    };
+
+    /* ---------- Office hours ---------- */
+
+    /**
+     * Weekday (0-6) and minutes past midnight at the office, whatever the visitor's time zone
+     */
+    function officeClock(now = new Date()) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: contact.hours.timeZone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).reduce((found, part) => {
+            found[part.type] = part.value;
+            return found;
+        }, {});
+
+        return { day: WEEKDAYS.indexOf(parts.weekday), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+    }
+
+    function isOpen(now) {
+        const hours = contact.hours;
+        const clock = officeClock(now);
+        return hours.days.includes(clock.day) && clock.minutes >= toMinutes(hours.open) && clock.minutes < toMinutes(hours.close);
+    }
+
+    /**
+     * Days from the office's today until it next opens (0: later today)
+     */
+    function daysUntilOpen(now) {
+        const clock = officeClock(now);
+        const openToday = contact.hours.days.includes(clock.day) && clock.minutes < toMinutes(contact.hours.open);
+        if (openToday) return 0;
+
+        for (let ahead = 1; ahead <= 7; ahead++) {
+            if (contact.hours.days.includes((clock.day + ahead) % 7)) return ahead;
+        }
+        return 1;
+    }
+
+    function weekdayName(day) {
+        // 2023-01-01 was a Sunday
+        const date = new Date(Date.UTC(2023, 0, 1 + day, 12));
+        return new Intl.DateTimeFormat(document.documentElement.lang || 'en', { weekday: 'long', timeZone: 'UTC' }).format(date);
+    }
+
+    function statusText(now = new Date()) {
+        if (isOpen(now)) return t('widget.open', "We're open, call now");
+
+        const ahead = daysUntilOpen(now);
+        if (ahead <= 1) return t('widget.closed', "We'll reply in the morning");
+        return t('widget.closedUntil', "We'll reply on {day} morning", {
+            day: weekdayName((officeClock(now).day + ahead) % 7)
+        });
+    }
+
+    /* ---------- Prefilled message ---------- */
+
+    function fieldValue(form, names) {
+        for (const name of names) {
+            const field = form.elements[name];
+            if (!field || !field.value.trim()) continue;
+            if (field.tagName === 'SELECT') return field.options[field.selectedIndex].textContent.trim();
+            return field.value.trim();
+        }
+        return '';
+    }
+
+    /**
+     * Details typed into the form the visitor used last (or any quote form with some)
+     */
+    function quoteDetails() {
+        const forms = Array.from(document.querySelectorAll(QUOTE_FORMS));
+        if (lastForm) forms.unshift(lastForm);
+
+        for (const form of forms) {
+            const details = Object.keys(DETAILS).reduce((found, key) => {
+                const value = fieldValue(form, DETAILS[key]);
+                if (value) found[key] = value;
+                return found;
+            }, {});
+            if (Object.keys(details).length) return details;
+        }
+        return {};
+    }
+
+    function buildMessage(details = quoteDetails()) {
+        const lines = [t('widget.message.greeting', MESSAGE.greeting)];
+        Object.keys(DETAILS).forEach(key => {
+            if (details[key]) lines.push(t(`widget.message.${key}`, MESSAGE[key], { value: details[key] }));
+        });
+
+        const city = document.body.dataset.city;
+        if (city) lines.push(t('widget.message.city', MESSAGE.city, { city }));
+        return lines.join('\n');
+    }
+
+    function whatsappUrl(message) {
+        return `https://wa.me/${contact.whatsapp}?text=${encodeURIComponent(message)}`;
+    }
+
+    /* ---------- Widget ---------- */
+
+    function render() {
+        widget = document.createElement('aside');
+        widget.className = 'contact-widget';
+        widget.setAttribute('aria-label', 'Quick contact');
+        widget.setAttribute('data-i18n-aria-label', 'widget.label');
+        widget.innerHTML = `
+            <p class="contact-widget-status" aria-live="polite"></p>
+            <a class="contact-widget-btn contact-widget-call" href="tel:${contact.phone}"
+               aria-label="Call ${contact.phoneDisplay}" title="Call ${contact.phoneDisplay}">
+                <svg width="24" height="24" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M6.62 10.79a15.05 15.05 0 0 0 6.59 6.59l2.2-2.2a1 1 0 0 1 1.02-.24c1.12.37 2.33.57 3.57.57a1 1 0 0 1 1 1V20a1 1 0 0 1-1 1C10.61 21 3 13.39 3 4a1 1 0 0 1 1-1h3.5a1 1 0 0 1 1 1c0 1.25.2 2.45.57 3.57a1 1 0 0 1-.25 1.02l-2.2 2.2z"/></svg>
+            </a>
+            <a class="contact-widget-btn contact-widget-whatsapp" href="${whatsappUrl(buildMessage())}" target="_blank" rel="noopener"
+               aria-label="Chat on WhatsApp" title="Chat on WhatsApp" data-i18n-aria-label="widget.whatsapp" data-i18n-title="widget.whatsapp">
+                <svg width="28" height="28" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true"><path d="M17.47 14.38c-.3-.15-1.76-.87-2.03-.97-.27-.1-.47-.15-.67.15-.2.3-.77.97-.94 1.17-.17.2-.35.22-.64.07-.3-.15-1.26-.46-2.4-1.48-.89-.79-1.49-1.77-1.66-2.07-.17-.3-.02-.46.13-.61.13-.13.3-.35.45-.52.15-.17.2-.3.3-.5.1-.2.05-.37-.02-.52-.08-.15-.67-1.61-.92-2.2-.24-.58-.49-.5-.67-.51h-.57c-.2 0-.52.07-.79.37-.27.3-1.04 1.02-1.04 2.48 0 1.46 1.07 2.88 1.21 3.07.15.2 2.1 3.2 5.08 4.49.71.31 1.26.49 1.69.62.71.23 1.36.2 1.87.12.57-.09 1.76-.72 2.01-1.41.25-.7.25-1.29.17-1.41-.07-.13-.27-.2-.57-.35zM12.05 21.5h-.01a9.4 9.4 0 0 1-4.79-1.31l-.34-.2-3.56.93.95-3.47-.22-.36a9.39 9.39 0 0 1-1.44-5.01c0-5.19 4.23-9.42 9.43-9.42a9.36 9.36 0 0 1 6.66 2.76 9.36 9.36 0 0 1 2.76 6.67c0 5.19-4.23 9.42-9.42 9.42zm8.02-17.44A11.27 11.27 0 0 0 12.05.75C5.8.75.71 5.84.71 12.09c0 2 .52 3.95 1.52 5.67L.62 23.25l5.61-1.47a11.3 11.3 0 0 0 5.81 1.48h.01c6.25 0 11.34-5.09 11.34-11.34 0-3.03-1.18-5.88-3.32-8.02z"/></svg>
+            </a>`;
+
+        widget.querySelector('.contact-widget-whatsapp').addEventListener('click', event => {
+            const details = quoteDetails();
+            // Built on click so it has everything typed up to now
+            event.currentTarget.href = whatsappUrl(buildMessage(details));
+            if (window.Analytics) {
+                window.Analytics.track('whatsapp_click', {
+                    placement: 'widget',
+                    prefilled: Object.keys(details).length > 0,
+                    city: document.body.dataset.city || null
+                });
+            }
+        });
+
+        document.body.appendChild(widget);
+        if (window.I18n) window.I18n.translate(widget);
+    }
+
+    function updateLink() {
+        // Kept current for long-press / "copy link" too
+        widget.querySelector('.contact-widget-whatsapp').href = whatsappUrl(buildMessage());
+    }
+
+    function updateStatus() {
+        const open = isOpen(new Date());
+        widget.classList.toggle('is-open', open);
+        widget.classList.toggle('is-closed', !open);
+        widget.querySelector('.contact-widget-status').textContent = statusText();
+    }
+
+    function init() {
+        if (!contact.whatsapp) return;
+
+        render();
+        updateStatus();
+        setInterval(updateStatus, STATUS_INTERVAL);
+
+        ['input', 'change'].forEach(type => document.addEventListener(type, event => {
+            const form = event.target.closest && event.target.closest(QUOTE_FORMS);
+            if (!form) return;
+            lastForm = form;
+            updateLink();
+        }));
+
+        document.addEventListener('i18n:change', () => {
+            updateStatus();
+            updateLink();
+        });
+    }
+
+    // Expose for other modules
+    window.ContactWidget = {
+        isOpen,
+        buildMessage,
+        whatsappUrl
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,221 @@
+/**
+ * Car Transport Price Estimator
+ * Live price range and transit-day estimate for the quote forms
+ * Uses the city table in city-data.js, read as the autocomplete reads it (typos included);
+ * the estimate is attached to the lead payload
+ *
+ * Markup: <form data-estimator> with inputs marked data-estimate="from" | "to" | "vehicle"
+ * (optionally "count"); an existing .estimate-panel in the form is used, otherwise one is added
+ * Uses i18n.js when the page has it (panel text under "estimator")
+ */
+
+(function() {
+    'use strict';
+
+    // Indicative rate card per vehicle class (INR)
+    const RATE_CARD = {
+        hatchback: { label: 'Hatchback', base: 3000, perKm: 9 },
+        sedan: { label: 'Sedan', base: 3500, perKm: 10.5 },
+        suv: { label: 'SUV / MUV', base: 4500, perKm: 12.5 },
+        luxury: { label: 'Luxury car', base: 8000, perKm: 18 },
+        bike: { label: 'Bike / Scooter', base: 1500, perKm: 4.5 }
+    };
+
+    const CONFIG = {
+        roadFactor: 1.25,   // straight-line distance -> approximate road distance
+        minKm: 25,          // floor for moves within the same city
+        spread: 0.12,       // +/- range around the point estimate
+        fastKmPerDay: 450,
+        slowKmPerDay: 300
+    };
+
+    const MESSAGES = {
+        label: 'Estimated price',
+        distance: '~{km} km',
+        day: '{count} day',
+        days: '{count} days',
+        dayRange: '{min}–{max} days',
+        transit: '{days} in transit',
+        vehicles: '{count} vehicles',
+        note: 'Indicative only. Our team confirms the final quote.',
+        unknownRoute: "We'll confirm the price for this route when we call you back.",
+        chooseVehicle: 'Choose a vehicle type to see an instant price estimate.'
+    };
+
+    const EARTH_RADIUS_KM = 6371;
+
+    const currency = new Intl.NumberFormat('en-IN', {
+        style: 'currency',
+        currency: 'INR',
+        maximumFractionDigits: 0
+    });
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    const toRadians = deg => deg * Math.PI / 180;
+    const roundTo100 = value => Math.round(value / 100) * 100;
+
+    // Same reading of the typed text as the autocomplete, typos included
+    const cityFor = query => {
+        const match = window.CityData.bestMatch(query);
+        return match ? match.city : null;
+    };
+
+    /**
+     * Great-circle distance between two cities in km
+     */
+    function haversineKm(a, b) {
+        const dLat = toRadians(b.lat - a.lat);
+        const dLng = toRadians(b.lng - a.lng);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+        return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Estimate price and transit time for a route
+     * Returns null when either city is unknown or the vehicle class is missing
+     */
+    function estimate(fromQuery, toQuery, vehicle, count = 1) {
+        const from = cityFor(fromQuery);
+        const to = cityFor(toQuery);
+        const rate = RATE_CARD[vehicle];
+        if (!from || !to || !rate) return null;
+
+        const distanceKm = Math.max(Math.round(haversineKm(from, to) * CONFIG.roadFactor), CONFIG.minKm);
+        const vehicles = Math.max(1, Math.floor(Number(count)) || 1);
+        const price = (rate.base + rate.perKm * distanceKm) * vehicles;
+
+        return {
+            from: from.name,
+            to: to.name,
+            vehicle,
+            vehicles,
+            distanceKm,
+            priceMin: roundTo100(price * (1 - CONFIG.spread)),
+            priceMax: roundTo100(price * (1 + CONFIG.spread)),
+            transitDays: {
+                min: Math.max(1, Math.ceil(distanceKm / CONFIG.fastKmPerDay)),
+                max: Math.ceil(distanceKm / CONFIG.slowKmPerDay) + 1
+            },
+            currency: 'INR'
+        };
+    }
+
+    function getInputs(form) {
+        return {
+            from: form.querySelector('[data-estimate="from"]'),
+            to: form.querySelector('[data-estimate="to"]'),
+            vehicle: form.querySelector('[data-estimate="vehicle"]'),
+            count: form.querySelector('[data-estimate="count"]')
+        };
+    }
+
+    function estimateForm(form) {
+        const inputs = getInputs(form);
+        if (!inputs.from || !inputs.to || !inputs.vehicle) return null;
+        return estimate(inputs.from.value, inputs.to.value, inputs.vehicle.value, inputs.count ? inputs.count.value : 1);
+    }
+
+    /**
+     * Render the estimate (or a hint explaining why there is none)
+     */
+    function render(form, panel) {
+        const inputs = getInputs(form);
+        const result = estimateForm(form);
+
+        panel.classList.toggle('has-estimate', Boolean(result));
+
+        if (result) {
+            const { min, max } = result.transitDays;
+            let days = t('estimator.dayRange', MESSAGES.dayRange, { min, max });
+            if (min === max) days = min > 1 ? t('estimator.days', MESSAGES.days, { count: min }) : t('estimator.day', MESSAGES.day, { count: min });
+
+            const meta = [
+                `${result.from} → ${result.to}`,
+                t('estimator.distance', MESSAGES.distance, { km: result.distanceKm.toLocaleString('en-IN') }),
+                t('estimator.transit', MESSAGES.transit, { days }),
+                ...(result.vehicles > 1 ? [t('estimator.vehicles', MESSAGES.vehicles, { count: result.vehicles })] : [])
+            ];
+
+            panel.innerHTML = `
+                <span class="estimate-label"></span>
+                <strong class="estimate-price">${currency.format(result.priceMin)} – ${currency.format(result.priceMax)}</strong>
+                <span class="estimate-meta"></span>
+                <small class="estimate-note"></small>
+            `;
+            panel.querySelector('.estimate-label').textContent = t('estimator.label', MESSAGES.label);
+            panel.querySelector('.estimate-meta').textContent = meta.join(' · ');
+            panel.querySelector('.estimate-note').textContent = t('estimator.note', MESSAGES.note);
+            return;
+        }
+
+        const from = inputs.from.value.trim();
+        const to = inputs.to.value.trim();
+
+        if (!from || !to) {
+            panel.textContent = '';
+        } else if (!cityFor(from) || !cityFor(to)) {
+            panel.textContent = t('estimator.unknownRoute', MESSAGES.unknownRoute);
+        } else {
+            panel.textContent = t('estimator.chooseVehicle', MESSAGES.chooseVehicle);
+        }
+    }
+
+    /**
+     * Wire a single form: live updates on input, cleared on reset
+     */
+    function attach(form) {
+        const inputs = getInputs(form);
+        if (!inputs.from || !inputs.to || !inputs.vehicle) return;
+
+        let panel = form.querySelector('.estimate-panel');
+        if (!panel) {
+            panel = document.createElement('div');
+            panel.className = 'estimate-panel';
+            panel.setAttribute('aria-live', 'polite');
+
+            const submit = form.querySelector('[type="submit"]');
+            submit.parentNode.insertBefore(panel, submit);
+        }
+
+        const update = () => render(form, panel);
+        [inputs.from, inputs.to, inputs.vehicle, inputs.count].filter(Boolean).forEach(input => {
+            input.addEventListener('input', update);
+            input.addEventListener('change', update);
+        });
+        // reset fires before the values are cleared
+        form.addEventListener('reset', () => setTimeout(update, 0));
+        document.addEventListener('i18n:change', update);
+
+        update();
+    }
+
+    function init() {
+        document.querySelectorAll('form[data-estimator]').forEach(attach);
+    }
+
+    // Log the estimate with the lead so sales can compare it with the final quote
+    if (window.FormEngine) {
+        window.FormEngine.addPayloadHook((payload, form) => {
+            if (form.hasAttribute('data-estimator')) {
+                payload.estimate = estimateForm(form);
+            }
+            return payload;
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    window.PriceEstimator = {
+        estimate,
+        RATE_CARD,
+        CONFIG
+    };
+})();
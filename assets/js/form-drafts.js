@@ -0,0 +1,235 @@
+/**
+ * Lead Form Drafts
+ * Keeps what a visitor has typed into a lead form (.quote-form, #inquiryForm, #contactForm)
+ * on this device, so leaving the page halfway through doesn't lose it. Coming back shows a
+ * "restore your draft?" prompt at the top of the form; nothing is filled in until they agree.
+ *
+ * Each form has its own storage key (page path + form id), and only that form's schema
+ * fields are saved: never the spam honeypot, never another form's values.
+ * Drafts expire after SiteConfig.drafts.expiryHours and are removed once the form is sent
+ * (or queued by lead-queue.js). Stored under the "necessary" consent category (consent.js).
+ * Requires config.js and form-engine.js; uses i18n.js when the page has it.
+ */
+
+(function() {
+    'use strict';
+
+    const CONFIG = Object.assign({
+        expiryHours: 72,
+        saveDelay: 400          // ms after the last keystroke
+    }, window.SiteConfig.drafts);
+
+    const KEY_PREFIX = 'spw-draft:';
+
+    const MESSAGES = {
+        prompt: 'You have an unsent draft from {time}. Would you like to restore it?',
+        restore: 'Restore draft',
+        discard: 'Start over'
+    };
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    const keyFor = form => `${KEY_PREFIX}${window.location.pathname}#${form.id}`;
+
+    /* ---------- Storage ---------- */
+
+    function read(key) {
+        try {
+            const draft = JSON.parse(localStorage.getItem(key));
+            if (draft && draft.values && Date.now() - draft.savedAt < CONFIG.expiryHours * 3600000) return draft;
+        } catch (error) {
+            return null;
+        }
+        remove(key);    // expired or unreadable
+        return null;
+    }
+
+    function write(key, draft) {
+        try {
+            localStorage.setItem(key, JSON.stringify(draft));
+        } catch (error) {
+            // Storage full or blocked: the form still works, it just isn't kept
+        }
+    }
+
+    function remove(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (error) {
+            // Nothing to do
+        }
+    }
+
+    /**
+     * Drop expired drafts of every form, including pages the visitor never returns to
+     */
+    function prune() {
+        try {
+            Object.keys(localStorage).filter(key => key.startsWith(KEY_PREFIX)).forEach(read);
+        } catch (error) {
+            // Storage blocked
+        }
+    }
+
+    /* ---------- Field values ---------- */
+
+    function inputsOf(form, field) {
+        return field.el.type === 'radio' ? Array.from(form.querySelectorAll(`[name="${field.el.name}"]`)) : [field.el];
+    }
+
+    /**
+     * Whether a field still shows what the page started with (preset counts, default options)
+     */
+    function untouched(form, field) {
+        const el = field.el;
+        if (el.type === 'radio' || el.type === 'checkbox') return inputsOf(form, field).every(input => input.checked === input.defaultChecked);
+        if (el.tagName === 'SELECT') {
+            const preset = Array.from(el.options).find(option => option.defaultSelected) || el.options[0];
+            return !preset || el.value === preset.value;
+        }
+        return el.value === el.defaultValue || !el.value.trim();
+    }
+
+    /**
+     * Values the visitor changed; a form nobody has touched has no draft
+     */
+    function readValues(form, fields) {
+        return fields.reduce((values, field) => {
+            const el = field.el;
+            if (untouched(form, field)) return values;
+            if (el.type === 'radio') {
+                const checked = inputsOf(form, field).find(input => input.checked);
+                values[field.name] = checked ? checked.value : '';
+            } else if (el.type === 'checkbox') {
+                values[field.name] = el.checked;
+            } else {
+                // Phone numbers with their picked country code, so restoring picks it again
+                values[field.name] = window.FormEngine.readValue(form, el);
+            }
+            return values;
+        }, {});
+    }
+
+    function fill(form, fields, values) {
+        fields.forEach(field => {
+            if (!(field.name in values)) return;
+            const value = values[field.name];
+            inputsOf(form, field).forEach(el => {
+                if (el.type === 'radio') el.checked = el.value === value;
+                else if (el.type === 'checkbox') el.checked = value === true;
+                else el.value = String(value);
+            });
+            // Let autocomplete, the estimator and the wizard see the restored value
+            field.el.dispatchEvent(new Event('input', { bubbles: true }));
+            field.el.dispatchEvent(new Event('change', { bubbles: true }));
+        });
+    }
+
+    /* ---------- Prompt ---------- */
+
+    function formatTime(savedAt) {
+        return new Intl.DateTimeFormat(document.documentElement.lang || 'en-IN', {
+            weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+        }).format(new Date(savedAt));
+    }
+
+    function showPrompt(form, draft, onAnswer) {
+        const prompt = document.createElement('div');
+        prompt.className = 'form-draft';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <p class="form-draft-text"></p>
+            <div class="form-draft-actions">
+                <button type="button" class="btn btn-small form-draft-restore"></button>
+                <button type="button" class="form-draft-discard"></button>
+            </div>`;
+
+        const render = () => {
+            prompt.querySelector('.form-draft-text').textContent = t('drafts.prompt', MESSAGES.prompt, { time: formatTime(draft.savedAt) });
+            prompt.querySelector('.form-draft-restore').textContent = t('drafts.restore', MESSAGES.restore);
+            prompt.querySelector('.form-draft-discard').textContent = t('drafts.discard', MESSAGES.discard);
+        };
+        render();
+        document.addEventListener('i18n:change', render);
+
+        const answer = restore => {
+            document.removeEventListener('i18n:change', render);
+            prompt.remove();
+            onAnswer(restore);
+        };
+        prompt.querySelector('.form-draft-restore').addEventListener('click', () => answer(true));
+        prompt.querySelector('.form-draft-discard').addEventListener('click', () => answer(false));
+
+        form.prepend(prompt);
+    }
+
+    /* ---------- Forms ---------- */
+
+    function watch(form) {
+        const controller = window.FormEngine.get(form);
+        if (!controller || form.dataset.formDraft) return;
+        form.dataset.formDraft = 'on';
+
+        const key = keyFor(form);
+        const fields = controller.fields;
+        let paused = false;     // while the prompt waits, typing must not overwrite the old draft
+        let timer = null;
+
+        function save() {
+            clearTimeout(timer);
+            timer = null;
+            if (paused) return;
+            const values = readValues(form, fields);
+            if (Object.keys(values).length) write(key, { savedAt: Date.now(), values });
+            else remove(key);
+        }
+
+        function discard() {
+            clearTimeout(timer);
+            timer = null;
+            remove(key);
+        }
+
+        const draft = read(key);
+        if (draft) {
+            paused = true;
+            showPrompt(form, draft, restore => {
+                paused = false;
+                if (restore) fill(form, fields, draft.values);
+                save();
+            });
+        }
+
+        const schedule = event => {
+            if (!fields.some(field => field.el.name === event.target.name)) return;
+            clearTimeout(timer);
+            timer = setTimeout(save, CONFIG.saveDelay);
+        };
+        form.addEventListener('input', schedule);
+        form.addEventListener('change', schedule);
+        // Leaving right after typing: don't wait for the delay
+        window.addEventListener('pagehide', () => {
+            if (timer) save();
+        });
+
+        form.addEventListener('leadform:success', event => {
+            // A queued lead delivered later: the form may already hold a new draft
+            if (!event.detail.queued) discard();
+        });
+        form.addEventListener('leadform:queued', discard);
+    }
+
+    document.addEventListener('leadform:bound', event => watch(event.target));
+
+    // Forms bound before this script ran
+    document.querySelectorAll('form[data-form-engine]').forEach(watch);
+    prune();
+
+    // Expose for other modules
+    window.FormDrafts = {
+        CONFIG,
+        clear: form => remove(keyFor(form))
+    };
+})();
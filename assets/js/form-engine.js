@@ -0,0 +1,451 @@
+/**
+ * Lead Form Engine
+ * Validates, submits and reports status for any form described by a schema in form-schemas.js
+ * Inline per-field errors, loading/disabled state, endpoint taken from window.SiteConfig
+ *
+ * Requires form-rules.js (the validation rules themselves)
+ * Messages and field labels follow the page language when i18n.js is loaded
+ *
+ * Every submit carries payload.idempotencyKey. When lead-queue.js is on the page, a submit
+ * that can't reach the server is kept on the device and sent later with the same key;
+ * the form says so ("leadform:queued") and shows "leadform:success" once it arrives.
+ */
+
+(function() {
+    'use strict';
+
+    const { PATTERNS, MESSAGES: RULE_MESSAGES, normalizeValue, validateValue, today } = window.FormRules;
+
+    const MESSAGES = {
+        invalid: 'Please fix the highlighted fields.',
+        sending: 'Sending…',
+        network: 'Network error. Please try again.',
+        queued: "You're offline, so we've saved your request on this device. It will be sent automatically when you're back online.",
+        call: 'Or call us now on {phone}'
+    };
+
+    /**
+     * Text in the page language, or the English fallback when there is no translation
+     */
+    function t(key, fallback, params) {
+        if (window.I18n) return window.I18n.t(key, fallback, params);
+        return fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match));
+    }
+
+    // FormRules.MESSAGES with each message looked up under "validation.<rule>"
+    const ruleMessages = Object.keys(RULE_MESSAGES).reduce((messages, key) => {
+        messages[key] = (label, limit) => t(`validation.${key}`, RULE_MESSAGES[key](label, limit), { label, limit });
+        return messages;
+    }, {});
+
+    let formCount = 0;
+
+    // form element -> controller returned by bind()
+    const controllers = new WeakMap();
+
+    // Functions (payload, form) => payload run on every submit, e.g. to attach a price estimate
+    const payloadHooks = [];
+
+    // Async checks (payload, form) => null | { reason } run after validation, e.g. spam-guard.js
+    const submitGuards = [];
+
+    // reason -> () => message, for guard and server rejections ({ ok: false, reason } bodies)
+    const rejectionMessages = {};
+
+    /**
+     * Read the raw value of a field, handling radio groups, checkboxes and phone inputs
+     * whose country code is picked separately (data-dial-code, see phone-input.js)
+     */
+    function readValue(form, el) {
+        if (el.type === 'radio') {
+            const checked = form.querySelector(`[name="${el.name}"]:checked`);
+            return checked ? checked.value : '';
+        }
+        if (el.type === 'checkbox') {
+            return el.checked ? (el.value === 'on' ? 'yes' : el.value) : 'no';
+        }
+        if (el.dataset.dialCode && el.value.trim() && !/^(\+|00)/.test(el.value.trim())) {
+            return `+${el.dataset.dialCode} ${el.value.trim()}`;
+        }
+        return el.value;
+    }
+
+    /**
+     * Find (or create) the inline error element for a field
+     */
+    function getErrorElement(form, field, name) {
+        const container = field.closest('.form-group, .form-field') || field.parentNode;
+        let errorEl = container.querySelector('.field-error');
+
+        if (!errorEl) {
+            errorEl = document.createElement('span');
+            errorEl.className = 'field-error';
+            errorEl.id = `${form.id}-${name}-error`;
+            container.appendChild(errorEl);
+        }
+        return errorEl;
+    }
+
+    function showFieldError(form, field, name, message) {
+        const errorEl = getErrorElement(form, field, name);
+        errorEl.textContent = message;
+        field.classList.add('is-invalid');
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', errorEl.id);
+    }
+
+    function clearFieldError(form, field, name) {
+        const errorEl = getErrorElement(form, field, name);
+        errorEl.textContent = '';
+        field.classList.remove('is-invalid');
+        field.removeAttribute('aria-invalid');
+    }
+
+    /**
+     * Form-level status line (replaces the old alert() popups)
+     */
+    function getStatusElement(form) {
+        let statusEl = form.querySelector('.form-status');
+        if (!statusEl) {
+            statusEl = document.createElement('p');
+            statusEl.className = 'form-status';
+            statusEl.setAttribute('role', 'status');
+            statusEl.setAttribute('aria-live', 'polite');
+            form.appendChild(statusEl);
+        }
+        return statusEl;
+    }
+
+    /**
+     * `link` ({ href, text }) adds a follow-up action after the message, e.g. a call link
+     */
+    function setStatus(form, message, state, link) {
+        const statusEl = getStatusElement(form);
+        statusEl.textContent = message || '';
+        statusEl.classList.remove('is-success', 'is-error', 'is-pending', 'is-queued');
+        if (state) statusEl.classList.add(`is-${state}`);
+
+        if (link) {
+            const a = document.createElement('a');
+            a.className = 'form-status-link';
+            a.href = link.href;
+            a.textContent = link.text;
+            statusEl.append(' ', a);
+        }
+    }
+
+    function setLoading(form, loading) {
+        form.classList.toggle('is-submitting', loading);
+        form.setAttribute('aria-busy', String(loading));
+        form.querySelectorAll('[type="submit"]').forEach(btn => {
+            btn.disabled = loading;
+        });
+    }
+
+    async function readBody(response) {
+        try {
+            return (await response.json()) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Text for a rejection reason, or null when no module explains it
+     */
+    function explain(reason) {
+        return reason && rejectionMessages[reason] ? rejectionMessages[reason]() : null;
+    }
+
+    /**
+     * First guard rejection for this payload, or null to go ahead
+     */
+    async function runGuards(payload, form) {
+        for (const guard of submitGuards) {
+            const rejection = await guard(payload, form);
+            if (rejection) return rejection;
+        }
+        return null;
+    }
+
+    /**
+     * Key that lets the server recognise a retried submission; random, never reused
+     */
+    function idempotencyKey() {
+        if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+        const values = new Uint8Array(16);
+        if (window.crypto && window.crypto.getRandomValues) window.crypto.getRandomValues(values);
+        else values.forEach((value, i) => { values[i] = Math.floor(Math.random() * 256); });
+        return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    function emit(form, type, detail) {
+        form.dispatchEvent(new CustomEvent(`leadform:${type}`, { bubbles: true, detail }));
+    }
+
+    /**
+     * Attach a schema to a form element
+     * Returns a small controller so other scripts can validate or read the payload
+     */
+    function bind(form, schema) {
+        if (!form || !schema || form.dataset.formEngine) return null;
+
+        if (!form.id) form.id = `lead-form-${++formCount}`;
+        form.dataset.formEngine = 'bound';
+        form.noValidate = true; // inline messages replace the native bubbles
+
+        const fields = Object.keys(schema.fields).map(name => ({
+            name,
+            rule: schema.fields[name],
+            el: form.querySelector(schema.fields[name].selector || `[name="${name}"]`)
+        })).filter(field => field.el);
+
+        let submitting = false;
+
+        // Catalog key of this schema, for its success and error messages
+        const schemaName = Object.keys(window.FormSchemas || {}).find(key => window.FormSchemas[key] === schema);
+        const message = kind => (schemaName ? t(`forms.${schemaName}.${kind}`, schema.messages[kind]) : schema.messages[kind]);
+
+        /**
+         * Error message for a field's current value (in the page language), or null
+         */
+        function fieldError(field) {
+            const key = field.rule.payload || field.name;
+            const rule = { ...field.rule, label: t(`fields.${key}`, field.rule.label) };
+            return validateValue(normalizeValue(readValue(form, field.el), field.rule), rule, ruleMessages);
+        }
+
+        function validateField(field) {
+            const error = fieldError(field);
+            if (error) {
+                showFieldError(form, field.el, field.name, error);
+            } else {
+                clearFieldError(form, field.el, field.name);
+            }
+            return !error;
+        }
+
+        /**
+         * Validate every field, or only the named ones (e.g. a single wizard step)
+         */
+        function validate(names) {
+            const invalid = fields
+                .filter(field => !names || names.includes(field.name))
+                .filter(field => !validateField(field));
+            return invalid.length === 0 ? null : invalid;
+        }
+
+        /**
+         * Show field errors returned by the server ({ errors: { payloadKey: message } })
+         * Returns false when none of them belong to a field on this form
+         */
+        function showServerErrors(errors) {
+            const flagged = fields.filter(field => errors && errors[field.rule.payload || field.name]);
+            // The server answers in English; use the same rule's local wording where it agrees
+            flagged.forEach(field => showFieldError(form, field.el, field.name, fieldError(field) || errors[field.rule.payload || field.name]));
+            if (flagged.length) {
+                flagged[0].el.focus();
+                emit(form, 'invalid', { fields: flagged.map(field => field.name) });
+            }
+            return flagged.length > 0;
+        }
+
+        function getPayload() {
+            return fields.reduce((payload, field) => {
+                payload[field.rule.payload || field.name] = normalizeValue(readValue(form, field.el), field.rule);
+                return payload;
+            }, {});
+        }
+
+        /**
+         * Keep a submission that never reached the server for lead-queue.js to send later
+         * Returns false when there is no queue (or no storage) to keep it in
+         */
+        async function queue(payload, endpoint) {
+            if (!window.LeadQueue) return false;
+            try {
+                await window.LeadQueue.enqueue({
+                    id: payload.idempotencyKey,
+                    url: endpoint,
+                    body: payload,
+                    form: schemaName || null,
+                    formId: form.id
+                });
+            } catch (error) {
+                console.error('Error:', error);
+                return false;
+            }
+
+            form.reset();
+            const phone = window.SiteConfig.contact;
+            setStatus(form, t('form.queued', MESSAGES.queued), 'queued', {
+                href: `tel:${phone.phone}`,
+                text: t('form.call', MESSAGES.call, { phone: phone.phoneDisplay })
+            });
+            emit(form, 'queued', { payload });
+            return true;
+        }
+
+        // Queued submissions from this form, delivered or refused later (even after a reload)
+        const fromThisForm = detail => detail.formId === form.id && detail.page === window.location.pathname;
+        document.addEventListener('leadqueue:sent', event => {
+            if (!fromThisForm(event.detail)) return;
+            setStatus(form, message('success'), 'success');
+            emit(form, 'success', { queued: true });
+        });
+        document.addEventListener('leadqueue:failed', event => {
+            if (!fromThisForm(event.detail)) return;
+            setStatus(form, message('error'), 'error');
+            emit(form, 'error', { queued: true, status: event.detail.status });
+        });
+
+        // Let the native date picker grey out past days too
+        fields.forEach(field => {
+            if (field.rule.notBefore === 'today' && field.el.type === 'date') field.el.min = today();
+        });
+
+        // Links such as the network page's "request a quote" pass starting values in the query string
+        const params = new URLSearchParams(window.location.search);
+        fields.forEach(field => {
+            const value = params.get(field.name);
+            if (!field.rule.prefill || !value || field.el.value || ['radio', 'checkbox'].includes(field.el.type)) return;
+            field.el.value = value.trim().slice(0, 100);
+            field.el.dispatchEvent(new Event('input', { bubbles: true }));
+        });
+
+        // Re-check a field as the user corrects it, once it has been flagged
+        fields.forEach(field => {
+            const recheck = () => {
+                if (field.el.classList.contains('is-invalid')) validateField(field);
+            };
+            const targets = field.el.type === 'radio'
+                ? form.querySelectorAll(`[name="${field.el.name}"]`)
+                : [field.el];
+            targets.forEach(el => {
+                el.addEventListener('input', recheck);
+                el.addEventListener('change', recheck);
+            });
+        });
+
+        // Re-word messages already on screen when the visitor switches language
+        document.addEventListener('i18n:change', () => {
+            fields.forEach(field => {
+                if (field.el.classList.contains('is-invalid')) validateField(field);
+            });
+        });
+
+        form.addEventListener('submit', async function(e) {
+            e.preventDefault();
+            if (submitting) return;
+
+            // Other modules (e.g. the booking wizard) may take over this submit
+            const proceed = form.dispatchEvent(new CustomEvent('leadform:beforesubmit', { cancelable: true }));
+            if (!proceed) return;
+
+            const invalid = validate();
+            if (invalid) {
+                setStatus(form, t('form.invalid', MESSAGES.invalid), 'error');
+                invalid[0].el.focus();
+                emit(form, 'invalid', { fields: invalid.map(field => field.name) });
+                return;
+            }
+
+            const payload = payloadHooks.reduce((data, hook) => hook(data, form) || data, getPayload());
+            const endpoint = window.SiteConfig.endpoints[schema.endpoint];
+
+            submitting = true;
+            setLoading(form, true);
+            setStatus(form, t('form.sending', MESSAGES.sending), 'pending');
+
+            try {
+                const rejection = await runGuards(payload, form);
+                if (rejection) {
+                    setStatus(form, explain(rejection.reason) || message('error'), 'error');
+                    emit(form, 'blocked', { payload, reason: rejection.reason });
+                    return;
+                }
+
+                // After the guards, so it isn't part of spam-guard.js's duplicate fingerprint
+                payload.idempotencyKey = idempotencyKey();
+
+                emit(form, 'submit', { payload });
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify(payload)
+                });
+
+                const body = response.ok ? null : await readBody(response);
+
+                if (response.ok) {
+                    form.reset();
+                    setStatus(form, message('success'), 'success');
+                    emit(form, 'success', { payload });
+                } else if (response.status === 422 && showServerErrors(body.errors)) {
+                    // The server re-checks the same rules; flag whatever it rejected
+                    setStatus(form, t('form.invalid', MESSAGES.invalid), 'error');
+                    emit(form, 'error', { payload, status: response.status });
+                } else if (explain(body.reason)) {
+                    // Turned away by the server's spam checks, with a reason the visitor can act on
+                    setStatus(form, explain(body.reason), 'error');
+                    emit(form, 'blocked', { payload, reason: body.reason, status: response.status });
+                } else {
+                    setStatus(form, message('error'), 'error');
+                    emit(form, 'error', { payload, status: response.status });
+                }
+            } catch (error) {
+                console.error('Error:', error);
+                if (!payload.idempotencyKey || !await queue(payload, endpoint)) {
+                    setStatus(form, t('form.network', MESSAGES.network), 'error');
+                    emit(form, 'error', { payload, error });
+                }
+            } finally {
+                submitting = false;
+                setLoading(form, false);
+            }
+        });
+
+        const controller = { form, schema, fields, validate, getPayload };
+        controllers.set(form, controller);
+        emit(form, 'bound', { schema: schemaName || null });
+        return controller;
+    }
+
+    /**
+     * Controller for an already bound form, or null
+     */
+    function get(form) {
+        return controllers.get(form) || null;
+    }
+
+    /**
+     * Register a hook that can add fields to every outgoing payload
+     */
+    function addPayloadHook(hook) {
+        payloadHooks.push(hook);
+    }
+
+    /**
+     * Register an async check that can stop a valid submit; it resolves to null to let the
+     * submit through or { reason } to stop it. `messages` maps reasons to functions returning
+     * the text shown in the form's status line (also used for server rejections).
+     */
+    function addSubmitGuard(guard, messages = {}) {
+        submitGuards.push(guard);
+        Object.assign(rejectionMessages, messages);
+    }
+
+    window.FormEngine = {
+        bind,
+        get,
+        addPayloadHook,
+        addSubmitGuard,
+        readValue,
+        validateValue,
+        normalizeValue,
+        PATTERNS
+    };
+
+})();
@@ -0,0 +1,264 @@
+/**
+ * Lead Form Rules
+ * Normalizing and validating field values against the rules in form-schemas.js
+ * Shared by the browser form engine and the local lead server (server/), so both
+ * accept and reject exactly the same input
+ *
+ * Phone numbers (normalize: 'phone') are stored in E.164 form, "+919876543210".
+ * Without a country code they are taken as Indian; a leading 0 or 91 is accepted (also after
+ * the code picked in the phone input, "+91 91 98765 43210"), and Indian numbers must be
+ * mobiles (starting 6–9). Other countries are checked for length only.
+ */
+
+(function(root) {
+    'use strict';
+
+    const PATTERNS = {
+        email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        phone: /^\+[1-9][0-9]{6,14}$/,      // E.164
+        integer: /^\d+$/,
+        date: /^\d{4}-\d{2}-\d{2}$/        // YYYY-MM-DD, as <input type="date"> sends it
+    };
+
+    // Countries offered by the phone input (phone-input.js): India first, then where NRI
+    // customers most often ship from. `digits` is the national number's length range,
+    // `groups` how it is spaced while typing, `trunk` the domestic prefix dropped for E.164.
+    const DEFAULT_DIAL = '91';
+    const PHONE_COUNTRIES = [
+        { code: 'IN', dial: '91', name: 'India', digits: [10, 10], mobile: /^[6-9]/, groups: [5, 5], trunk: '0' },
+        { code: 'AE', dial: '971', name: 'United Arab Emirates', digits: [8, 9], groups: [2, 3, 4], trunk: '0' },
+        { code: 'SA', dial: '966', name: 'Saudi Arabia', digits: [8, 9], groups: [2, 3, 4], trunk: '0' },
+        { code: 'QA', dial: '974', name: 'Qatar', digits: [8, 8], groups: [4, 4] },
+        { code: 'KW', dial: '965', name: 'Kuwait', digits: [8, 8], groups: [4, 4] },
+        { code: 'OM', dial: '968', name: 'Oman', digits: [8, 8], groups: [4, 4] },
+        { code: 'BH', dial: '973', name: 'Bahrain', digits: [8, 8], groups: [4, 4] },
+        { code: 'SG', dial: '65', name: 'Singapore', digits: [8, 8], groups: [4, 4] },
+        { code: 'US', dial: '1', name: 'USA / Canada', digits: [10, 10], groups: [3, 3, 4] },
+        { code: 'GB', dial: '44', name: 'United Kingdom', digits: [9, 10], groups: [4, 6], trunk: '0' },
+        { code: 'AU', dial: '61', name: 'Australia', digits: [9, 9], groups: [3, 3, 3], trunk: '0' },
+        { code: 'NZ', dial: '64', name: 'New Zealand', digits: [8, 10], groups: [2, 3, 5], trunk: '0' },
+        { code: 'DE', dial: '49', name: 'Germany', digits: [10, 11], groups: [3, 4, 4], trunk: '0' },
+        { code: 'MY', dial: '60', name: 'Malaysia', digits: [9, 10], groups: [2, 4, 4], trunk: '0' }
+    ];
+
+    // Throwaway inbox providers; leads from them can't be answered, and they are a favourite of bots
+    const DISPOSABLE_DOMAINS = [
+        '10minutemail.com', '20minutemail.com', 'dispostable.com', 'emailondeck.com', 'fakeinbox.com',
+        'getairmail.com', 'getnada.com', 'guerrillamail.com', 'guerrillamail.net', 'guerrillamailblock.com',
+        'maildrop.cc', 'mailinator.com', 'mailnesia.com', 'mintemail.com', 'mohmal.com', 'mytemp.email',
+        'sharklasers.com', 'spambox.us', 'spamgourmet.com', 'temp-mail.org', 'tempail.com', 'tempmail.com',
+        'tempmail.net', 'tempmailo.com', 'throwawaymail.com', 'trashmail.com', 'trashmail.de', 'yopmail.com',
+        'yopmail.fr', 'yopmail.net'
+    ];
+
+    const NORMALIZERS = {
+        trim: value => value.trim(),
+        digits: value => value.replace(/\D/g, ''),
+        phone: value => normalizePhone(value)
+    };
+
+    const MESSAGES = {
+        required: label => `${label} is required.`,
+        minLength: (label, min) => `${label} must be at least ${min} characters.`,
+        min: (label, min) => `${label} must be at least ${min}.`,
+        max: (label, max) => `${label} can be at most ${max}.`,
+        notBefore: label => `${label} can't be in the past.`,
+        integer: label => `${label} must be a whole number.`,
+        date: label => `${label} must be a valid date.`,
+        email: () => 'Please enter a valid email address.',
+        phone: () => 'Please enter a valid 10-digit mobile number starting with 6, 7, 8 or 9.',
+        phoneIntl: () => 'Please enter a valid phone number, including the country code.',
+        disposable: () => "Please use your regular email address; we can't reply to temporary inboxes."
+    };
+
+    /**
+     * Listed country whose calling code starts an E.164 number ("+971..." -> AE), or null
+     */
+    function phoneCountry(value) {
+        const digits = String(value || '').replace(/^\+/, '');
+        return PHONE_COUNTRIES
+            .filter(country => digits.startsWith(country.dial))
+            .sort((a, b) => b.dial.length - a.dial.length)[0] || null;
+    }
+
+    /**
+     * A national number without a calling code typed in front of it again ("+91" picked, then
+     * "91 98765 43210" typed): only when what is left is still a whole number for the country
+     */
+    function withoutDialCode(national, country) {
+        const rest = national.slice(country.dial.length);
+        const [min, max] = country.digits;
+        return national.length > max && national.startsWith(country.dial) && rest.length >= min && rest.length <= max
+            ? rest
+            : national;
+    }
+
+    /**
+     * E.164 form of a typed phone number: "098765 43210", "+91 98765-43210" and
+     * "919876543210" all become "+919876543210"; `dial` is the country assumed when the
+     * number has no "+" (or "00") prefix. Text that isn't a phone number is returned as is.
+     */
+    function normalizePhone(raw, dial = DEFAULT_DIAL) {
+        const text = String(raw == null ? '' : raw).trim();
+        const compact = text.replace(/[\s().\-/]/g, '');
+        if (!/^(\+|00)?[0-9]+$/.test(compact)) return text;
+
+        let number;
+        if (compact.startsWith('+') || compact.startsWith('00')) {
+            number = compact.replace(/^(\+|00)/, '');
+        } else {
+            const country = PHONE_COUNTRIES.find(item => item.dial === dial);
+            let national = compact;
+            // "0" + number, or the country code typed without its "+"
+            if (country && country.trunk && national.startsWith(country.trunk) && national.length > country.digits[1]) {
+                national = national.slice(country.trunk.length);
+            } else if (country) {
+                national = withoutDialCode(national, country);
+            }
+            number = dial + national;
+        }
+
+        // "+91 098765..." / "+44 07700...": the trunk 0 has no place after a country code,
+        // and "+91 9198765..." (the phone input's code, then the number with its own) has the code twice
+        const country = phoneCountry(number);
+        if (country) {
+            const national = number.slice(country.dial.length);
+            if (country.trunk && national.startsWith(country.trunk) && national.length > country.digits[1]) {
+                number = country.dial + national.slice(country.trunk.length);
+            } else {
+                number = country.dial + withoutDialCode(national, country);
+            }
+        }
+        return `+${number}`;
+    }
+
+    /**
+     * Which phone message applies to a normalized number, or null when it is acceptable
+     */
+    function phoneProblem(value) {
+        const country = phoneCountry(value);
+        const problem = !value.startsWith('+') || (country && country.dial === DEFAULT_DIAL) ? 'phone' : 'phoneIntl';
+        if (!PATTERNS.phone.test(value)) return problem;
+        if (!country) return null;     // unlisted country: E.164 length is all we can check
+
+        const national = value.slice(1 + country.dial.length);
+        const [min, max] = country.digits;
+        if (national.length < min || national.length > max) return problem;
+        if (country.mobile && !country.mobile.test(national)) return problem;
+        return null;
+    }
+
+    /**
+     * Normalize a raw input value according to a field rule
+     */
+    function normalizeValue(raw, rule) {
+        const value = NORMALIZERS.trim(raw == null ? '' : String(raw));
+        return rule.normalize ? NORMALIZERS[rule.normalize](value) : value;
+    }
+
+    /**
+     * Whether an email address belongs to a throwaway provider (subdomains included)
+     */
+    function isDisposableEmail(email) {
+        const domain = String(email || '').split('@').pop().toLowerCase();
+        return DISPOSABLE_DOMAINS.some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+    }
+
+    /**
+     * Today's date as YYYY-MM-DD in local time, comparable with <input type="date"> values
+     */
+    function today() {
+        const now = new Date();
+        const pad = n => String(n).padStart(2, '0');
+        return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+    }
+
+    /**
+     * Whether a YYYY-MM-DD string names a day that exists (no 2025-02-30)
+     */
+    function isRealDate(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        const date = new Date(Date.UTC(year, month - 1, day));
+        return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+    }
+
+    /**
+     * Validate a single normalized value
+     * Returns an error message, or null when the value passes
+     * `text` replaces MESSAGES, e.g. with translated versions of the same functions
+     */
+    function validateValue(value, rule, text = MESSAGES) {
+        const label = rule.label || 'This field';
+        const messages = rule.messages || {};
+
+        if (!value) {
+            return rule.required ? (messages.required || text.required(label)) : null;
+        }
+        if (rule.minLength && value.length < rule.minLength) {
+            return messages.minLength || text.minLength(label, rule.minLength);
+        }
+        if (rule.type === 'phone') {
+            const problem = phoneProblem(value);
+            if (problem) return messages[problem] || messages.phone || text[problem](label);
+        } else if (rule.type && PATTERNS[rule.type] && !PATTERNS[rule.type].test(value)) {
+            return messages[rule.type] || text[rule.type](label);
+        }
+        if (rule.type === 'date' && !isRealDate(value)) {
+            return messages.date || text.date(label);
+        }
+        if (rule.type === 'email' && isDisposableEmail(value)) {
+            return messages.disposable || text.disposable(label);
+        }
+        if (rule.min !== undefined && Number(value) < rule.min) {
+            return messages.min || text.min(label, rule.min);
+        }
+        if (rule.max !== undefined && Number(value) > rule.max) {
+            return messages.max || text.max(label, rule.max);
+        }
+        if (rule.notBefore === 'today' && value < today()) {
+            return messages.notBefore || text.notBefore(label);
+        }
+        return null;
+    }
+
+    /**
+     * Validate a submitted request body (keyed by payload names) against a schema
+     * Returns { values, errors } where errors is null when every field passes
+     */
+    function validatePayload(schema, body) {
+        const values = {};
+        const errors = {};
+
+        Object.keys(schema.fields).forEach(name => {
+            const rule = schema.fields[name];
+            const key = rule.payload || name;
+            const value = normalizeValue(body[key], rule);
+            const error = validateValue(value, rule);
+
+            values[key] = value;
+            if (error) errors[key] = error;
+        });
+
+        return { values, errors: Object.keys(errors).length ? errors : null };
+    }
+
+    const FormRules = {
+        PATTERNS,
+        MESSAGES,
+        PHONE_COUNTRIES,
+        normalizeValue,
+        normalizePhone,
+        phoneCountry,
+        validateValue,
+        validatePayload,
+        isDisposableEmail,
+        DISPOSABLE_DOMAINS,
+        today
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = FormRules;
+    } else {
+        root.FormRules = FormRules;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,83 @@
+/**
+ * Lead Form Schemas
+ * Declarative description of every lead form on the site
+ * Keys under `fields` are the input `name` attributes; `payload` renames a field in the request body
+ * and `prefill` lets a link fill the field from the query string (inquiry.html?fromCity=Wakad)
+ * Phone fields use normalize: 'phone', so every form sends E.164 numbers ("+919876543210")
+ * Also loaded by the local lead server (server/) to validate submissions
+ */
+
+(function(root) {
+    'use strict';
+
+    // Fields shared by the home/services quote form and the inquiry form
+    const contactFields = {
+        name: { label: 'Name', required: true, minLength: 3 },
+        email: { label: 'Email', required: true, type: 'email' }
+    };
+
+    const FormSchemas = {
+        // Home and services page "Request Quote" card
+        quote: {
+            endpoint: 'sendEmail',
+            fields: {
+                ...contactFields,
+                movingTo: { label: 'Moving To', required: true, minLength: 2 },
+                movingFrom: { label: 'Moving From', required: true, minLength: 2 },
+                mobile: { label: 'Mobile number', required: true, type: 'phone', normalize: 'phone' },
+                vehicle: { label: 'Vehicle type' },
+                message: { label: 'Message', required: true, minLength: 5 }
+            },
+            messages: {
+                success: 'Thank you! Your quote request has been submitted.',
+                error: 'Error sending quote request. Please try again.'
+            }
+        },
+
+        // inquiry.html booking wizard (steps are the form's fieldsets, see wizard.js)
+        inquiry: {
+            endpoint: 'inquiry',
+            fields: {
+                ...contactFields,
+                phone: { label: 'Mobile number', required: true, type: 'phone', normalize: 'phone', payload: 'mobile' },
+                vehicle: { label: 'Vehicle type', required: true },
+                vehicleCount: { label: 'Number of vehicles', required: true, type: 'integer', min: 1, max: 20 },
+                vehicleMake: { label: 'Make', required: true, minLength: 2 },
+                vehicleModel: { label: 'Model', required: true },
+                vehicleCondition: { label: 'Running condition', required: true },
+                fromCity: { label: 'Moving From', required: true, minLength: 2, payload: 'movingFrom', prefill: true },
+                toCity: { label: 'Moving To', required: true, minLength: 2, payload: 'movingTo', prefill: true },
+                pickupDate: { label: 'Preferred pickup date', required: true, type: 'date', notBefore: 'today' },
+                carrierType: { label: 'Carrier type', required: true },
+                deliveryType: { label: 'Delivery', required: true },
+                insurance: { label: 'Transit insurance' },
+                message: { label: 'Message', minLength: 5 }
+            },
+            messages: {
+                success: 'Thank you! Your inquiry has been submitted.',
+                error: 'Error sending inquiry. Please try again.'
+            }
+        },
+
+        // contact.html
+        contact: {
+            endpoint: 'sendEmail',
+            fields: {
+                ...contactFields,
+                phone: { label: 'Phone number', required: true, type: 'phone', normalize: 'phone', payload: 'mobile' },
+                subject: { label: 'Subject' },
+                message: { label: 'Message', required: true, minLength: 5 }
+            },
+            messages: {
+                success: 'Thank you! Your message has been sent.',
+                error: 'Error sending message. Please try again.'
+            }
+        }
+    };
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = FormSchemas;
+    } else {
+        root.FormSchemas = FormSchemas;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,254 @@
+/**
+ * Site Translations
+ * Hindi, Marathi and Tamil versions of the shared page chrome, form labels and form messages,
+ * with a language switcher in the header. English is the text already in the markup and scripts,
+ * so anything a catalog doesn't cover simply stays English
+ *
+ * Markup:
+ *   <a href="about.html" data-i18n="nav.about">About</a>
+ *   <input name="email" placeholder="Email" data-i18n-placeholder="form.email">
+ * data-i18n replaces the element's leading text (trailing icons and "*" spans stay);
+ * data-i18n-placeholder, -aria-label, -title and -alt translate those attributes.
+ *
+ * Catalogs: assets/i18n/{lang}.json, nested keys, "{name}" placeholders filled from params
+ * The choice is kept in localStorage; ?lang=hi in the URL selects (and remembers) a language.
+ * Every change fires "i18n:change" on document with detail { lang }.
+ */
+
+(function() {
+    'use strict';
+
+    const LANGUAGES = {
+        en: { name: 'English' },
+        hi: { name: 'हिन्दी', font: 'Noto+Sans+Devanagari' },
+        mr: { name: 'मराठी', font: 'Noto+Sans+Devanagari' },
+        ta: { name: 'தமிழ்', font: 'Noto+Sans+Tamil' }
+    };
+
+    const DEFAULT_LANGUAGE = 'en';
+    const STORAGE_KEY = 'spw-language';
+    const CATALOG_URL = 'assets/i18n/{lang}.json';
+    const ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
+
+    const catalogs = { en: {} };
+    const loading = {};
+    // element -> its English text and attributes, so switching back needs no reload
+    const originals = new WeakMap();
+
+    let current = DEFAULT_LANGUAGE;
+
+    const supported = lang => Object.prototype.hasOwnProperty.call(LANGUAGES, lang);
+    const datasetKey = attr => 'i18n' + attr.replace(/(^|-)([a-z])/g, (match, dash, ch) => ch.toUpperCase());
+
+    function readStored() {
+        try {
+            return localStorage.getItem(STORAGE_KEY);
+        } catch (error) {
+            return null; // storage blocked; fall back to the default
+        }
+    }
+
+    function store(lang) {
+        try {
+            localStorage.setItem(STORAGE_KEY, lang);
+        } catch (error) {
+            // Not fatal, the choice just won't survive the page
+        }
+    }
+
+    /**
+     * Language asked for in the URL, else the remembered one, else English
+     */
+    function initialLanguage() {
+        const fromUrl = new URLSearchParams(window.location.search).get('lang');
+        if (supported(fromUrl)) {
+            store(fromUrl);
+            return fromUrl;
+        }
+        const stored = readStored();
+        return supported(stored) ? stored : DEFAULT_LANGUAGE;
+    }
+
+    function loadCatalog(lang) {
+        if (catalogs[lang]) return Promise.resolve(catalogs[lang]);
+        if (!loading[lang]) {
+            loading[lang] = fetch(CATALOG_URL.replace('{lang}', lang), { headers: { Accept: 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Catalog request failed with ${response.status}`);
+                    return response.json();
+                })
+                .then(catalog => (catalogs[lang] = catalog))
+                .catch(error => {
+                    console.error('Error:', error);
+                    delete loading[lang];
+                    return {}; // everything falls back to English
+                });
+        }
+        return loading[lang];
+    }
+
+    function lookup(catalog, key) {
+        const value = key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalog);
+        return typeof value === 'string' ? value : null;
+    }
+
+    function interpolate(text, params) {
+        if (!params) return text;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+    }
+
+    /**
+     * Translate a key in the current language; the English fallback is used when the
+     * catalog has no entry (or hasn't loaded yet)
+     */
+    function t(key, fallback, params) {
+        const text = lookup(catalogs[current] || {}, key);
+        return interpolate(text !== null ? text : (fallback !== undefined ? fallback : key), params);
+    }
+
+    /* ---------- Page text ---------- */
+
+    function leadingText(el) {
+        return Array.from(el.childNodes).find(node => node.nodeType === Node.TEXT_NODE && node.textContent.trim());
+    }
+
+    function remember(el) {
+        if (originals.has(el)) return originals.get(el);
+
+        const textNode = el.dataset.i18n ? leadingText(el) : null;
+        const saved = {
+            textNode,
+            text: textNode ? textNode.textContent : null,
+            attrs: {}
+        };
+        ATTRIBUTES.forEach(attr => {
+            if (el.dataset[datasetKey(attr)] && el.hasAttribute(attr)) saved.attrs[attr] = el.getAttribute(attr);
+        });
+        originals.set(el, saved);
+        return saved;
+    }
+
+    function translateElement(el) {
+        const saved = remember(el);
+
+        if (saved.textNode) {
+            // Keep the whitespace around the English text so inline layout doesn't shift
+            const [, before, english, after] = saved.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            saved.textNode.textContent = before + t(el.dataset.i18n, english) + after;
+        }
+        Object.keys(saved.attrs).forEach(attr => {
+            el.setAttribute(attr, t(el.dataset[datasetKey(attr)], saved.attrs[attr]));
+        });
+    }
+
+    /**
+     * Translate every tagged element inside scope (e.g. after a script adds markup)
+     */
+    function translate(scope = document) {
+        const selector = ['[data-i18n]', ...ATTRIBUTES.map(attr => `[data-i18n-${attr}]`)].join(', ');
+        if (scope.matches && scope.matches(selector)) translateElement(scope);
+        scope.querySelectorAll(selector).forEach(translateElement);
+    }
+
+    /* ---------- Document ---------- */
+
+    /**
+     * Noto font for the script; it comes from Google Fonts, so it goes through
+     * the consent manager like the site's other web fonts
+     */
+    function loadFont(lang) {
+        const font = LANGUAGES[lang].font;
+        if (!font || document.querySelector(`link[data-i18n-font="${font}"]`)) return;
+
+        const link = document.createElement('link');
+        link.rel = 'stylesheet';
+        link.dataset.i18nFont = font;
+        link.dataset.consent = 'marketing';
+        link.dataset.consentHref = `https://fonts.googleapis.com/css2?family=${font}:wght@400;500;600;700&display=swap`;
+        document.head.appendChild(link);
+
+        if (window.Consent) window.Consent.apply(document.head);
+        else link.href = link.dataset.consentHref;
+    }
+
+    /**
+     * Point the canonical link at the URL of the language being shown, matching the
+     * hreflang alternates the page generator writes
+     */
+    function updateCanonical(lang) {
+        const canonical = document.querySelector('link[rel="canonical"]');
+        if (!canonical) return;
+
+        const url = new URL(canonical.href);
+        if (lang === DEFAULT_LANGUAGE) url.searchParams.delete('lang');
+        else url.searchParams.set('lang', lang);
+        canonical.href = url.toString();
+    }
+
+    /* ---------- Switcher ---------- */
+
+    function buildSwitcher() {
+        const toggle = document.getElementById('mobileMenuToggle');
+        if (!toggle || document.querySelector('.language-switcher')) return;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'language-switcher';
+        wrapper.innerHTML = `
+            <label for="languageSelect" class="visually-hidden" data-i18n="language.label">Language</label>
+            <select id="languageSelect">
+                ${Object.keys(LANGUAGES).map(lang => `<option value="${lang}" lang="${lang}">${LANGUAGES[lang].name}</option>`).join('')}
+            </select>`;
+
+        const select = wrapper.querySelector('select');
+        select.value = current;
+        select.addEventListener('change', () => setLanguage(select.value));
+
+        toggle.parentNode.insertBefore(wrapper, toggle);
+    }
+
+    /**
+     * Switch the page to another language and remember the choice
+     */
+    async function setLanguage(lang) {
+        if (!supported(lang)) lang = DEFAULT_LANGUAGE;
+        store(lang);
+        if (lang !== DEFAULT_LANGUAGE) {
+            loadFont(lang);
+            await loadCatalog(lang);
+            // No catalog, no translated text: keep lang honest for screen readers
+            if (!catalogs[lang]) lang = DEFAULT_LANGUAGE;
+        }
+
+        current = lang;
+        document.documentElement.lang = lang;
+        updateCanonical(lang);
+        translate();
+
+        const select = document.getElementById('languageSelect');
+        if (select) select.value = lang;
+
+        document.dispatchEvent(new CustomEvent('i18n:change', { detail: { lang } }));
+    }
+
+    function init() {
+        buildSwitcher();
+        const lang = initialLanguage();
+        if (lang !== DEFAULT_LANGUAGE) setLanguage(lang);
+    }
+
+    // Expose for other modules
+    window.I18n = {
+        LANGUAGES,
+        t,
+        translate,
+        setLanguage,
+        get language() { return current; }
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,294 @@
+/**
+ * Lead Submission Queue
+ * Keeps lead submissions that could not reach the server (no connection, dropped mobile
+ * data) on the device and sends them later: when the browser comes back online, when the
+ * tab is shown again, on the next page load, and from a service worker via Background Sync
+ * where one is registered (the worker calls LeadQueue.flush() on the "lead-queue" sync tag).
+ *
+ * Entries live in IndexedDB (localStorage when it is unavailable), each with the
+ * idempotency key form-engine.js sent with the first attempt, so a retry of a lead the
+ * server did receive is recognised there instead of stored twice.
+ * Timed retries back off from CONFIG.baseDelay up to CONFIG.maxDelay; entries are dropped after
+ * CONFIG.maxAgeHours.
+ *
+ * A lead kept while offline has no spam stamp (spam-guard.js could not fetch a challenge), and
+ * a kept stamp can go stale. When the lead server refuses one for that ("token", "tooFast") it
+ * sends a new challenge; the entry keeps it and the next try sends the lead stamped with it.
+ * Solving needs the stamper spam-guard.js registers (setStamper), so in a service worker
+ * such an entry waits for the next page that has one.
+ *
+ * Pages hear about queued leads through document events:
+ *   leadqueue:sent    { id, form, formId, page }                    delivered
+ *   leadqueue:failed  { id, form, formId, page, status }            refused by the server
+ * Works in a window or a service worker (self); no dependencies.
+ */
+
+(function(root) {
+    'use strict';
+
+    const CONFIG = {
+        baseDelay: 5000,            // ms before the first retry
+        maxDelay: 5 * 60000,        // ms, backoff ceiling
+        maxAgeHours: 24,            // server/config.js spam.maxTokenAgeHours
+        syncTag: 'lead-queue'
+    };
+
+    const DB_NAME = 'spw-leads';
+    const STORE = 'queue';
+    const FALLBACK_KEY = 'spw-lead-queue';
+
+    // Worth another try later; anything else (422, 400...) is a final answer
+    const RETRY_STATUSES = [408, 429, 500, 502, 503, 504];
+
+    // Spam check refusals that a new stamp (from the challenge sent with them) fixes
+    const RESTAMP_REASONS = ['token', 'tooFast'];
+
+    let dbPromise = null;
+    let flushing = null;
+    let timer = null;
+    let stamper = null;
+
+    /* ---------- Storage ---------- */
+
+    function openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise(resolve => {
+                let request;
+                try {
+                    request = root.indexedDB.open(DB_NAME, 1);
+                } catch (error) {
+                    resolve(null);      // no IndexedDB (or blocked): localStorage instead
+                    return;
+                }
+                request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => resolve(null);
+            });
+        }
+        return dbPromise;
+    }
+
+    function readFallback() {
+        try {
+            return JSON.parse(root.localStorage.getItem(FALLBACK_KEY)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function writeFallback(items) {
+        try {
+            root.localStorage.setItem(FALLBACK_KEY, JSON.stringify(items));
+        } catch (error) {
+            // Nowhere to keep it; the visitor still has the call option
+        }
+    }
+
+    /**
+     * Run one object-store request; resolves with its result once the transaction commits
+     */
+    async function withStore(mode, run, fallback) {
+        const db = await openDb();
+        if (!db) return fallback();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(STORE, mode);
+            const request = run(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    const readAll = () => withStore('readonly', store => store.getAll(), readFallback);
+
+    const save = item => withStore('readwrite', store => store.put(item), () => {
+        writeFallback(readFallback().filter(other => other.id !== item.id).concat(item));
+    });
+
+    const remove = id => withStore('readwrite', store => store.delete(id), () => {
+        writeFallback(readFallback().filter(item => item.id !== id));
+    });
+
+    /* ---------- Notifications ---------- */
+
+    function notify(type, item, extra = {}) {
+        const detail = { id: item.id, form: item.form, formId: item.formId, page: item.page, ...extra };
+
+        if (root.document) {
+            root.document.dispatchEvent(new CustomEvent(`leadqueue:${type}`, { detail }));
+        } else if (root.clients) {
+            // Service worker: tell every open tab; they re-dispatch it as the same event
+            root.clients.matchAll({ type: 'window' }).then(list => list.forEach(client => {
+                client.postMessage({ type: `leadqueue:${type}`, detail });
+            }));
+        }
+    }
+
+    /* ---------- Sending ---------- */
+
+    function backoff(attempts) {
+        const delay = Math.min(CONFIG.maxDelay, CONFIG.baseDelay * 2 ** (attempts - 1));
+        return Math.round(delay * (0.8 + Math.random() * 0.4));   // jitter, so tabs don't retry in step
+    }
+
+    function retryLater(item, reason) {
+        item.attempts += 1;
+        item.nextAttemptAt = Date.now() + backoff(item.attempts);
+        item.lastError = String(reason);
+        return save(item);
+    }
+
+    async function attempt(item) {
+        if (item.challenge) {
+            if (!stamper) {
+                await retryLater(item, 'token');
+                return;
+            }
+            item.body = { ...item.body, antiSpam: await stamper(item.body, item.challenge, item.form) };
+            item.challenge = null;
+        }
+
+        let response;
+        try {
+            response = await fetch(item.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(item.body)
+            });
+        } catch (error) {
+            await retryLater(item, 'network');
+            return;
+        }
+
+        let body = {};
+        if (!response.ok) body = await response.json().catch(() => ({}));
+
+        // "duplicate": the spam checks already have this exact lead, so it did arrive
+        if (response.ok || (body && body.reason === 'duplicate')) {
+            await remove(item.id);
+            notify('sent', item);
+        } else if (body && body.challenge && RESTAMP_REASONS.includes(body.reason)) {
+            // Backoff is longer than the server's minimum time between challenge and submit
+            item.challenge = body.challenge;
+            await retryLater(item, body.reason);
+        } else if (RETRY_STATUSES.includes(response.status)) {
+            await retryLater(item, response.status);
+        } else {
+            await remove(item.id);
+            notify('failed', item, { status: response.status });
+        }
+    }
+
+    /**
+     * Try every entry now, or with `dueOnly` only those whose backoff has run out
+     * Concurrent calls share one run
+     */
+    function flush(dueOnly = false) {
+        if (flushing) return flushing;
+
+        flushing = (async () => {
+            const items = await readAll();
+            for (const item of items) {
+                const now = Date.now();
+                if (now - item.createdAt > CONFIG.maxAgeHours * 3600000) {
+                    await remove(item.id);
+                    notify('failed', item, { status: 'expired' });
+                } else if ((!dueOnly && !item.challenge) || item.nextAttemptAt <= now) {
+                    // A new challenge always waits out its backoff, or the server says "too fast"
+                    if (root.navigator && root.navigator.onLine === false) break;
+                    await attempt(item);
+                }
+            }
+        })().catch(error => {
+            console.error('Error:', error);
+        }).then(() => {
+            flushing = null;
+            schedule();
+        });
+
+        return flushing;
+    }
+
+    /**
+     * Wake up for the next entry that becomes due (pages only; workers are woken by sync)
+     */
+    async function schedule() {
+        if (!root.document) return;
+        clearTimeout(timer);
+
+        const items = await readAll().catch(() => []);
+        if (!items.length) return;
+        const next = Math.min(...items.map(item => item.nextAttemptAt));
+        timer = setTimeout(() => flush(true), Math.max(1000, next - Date.now()));
+    }
+
+    function requestSync() {
+        const sw = root.navigator && root.navigator.serviceWorker;
+        if (!sw) return;
+        sw.getRegistration()
+            .then(registration => registration && registration.sync && registration.sync.register(CONFIG.syncTag))
+            .catch(() => {});   // no Background Sync: the online event and timers do the work
+    }
+
+    /**
+     * Keep a submission for later; `entry` is { id, url, body, form, formId }
+     */
+    async function enqueue(entry) {
+        const now = Date.now();
+        const item = {
+            id: entry.id,
+            url: new URL(entry.url, root.location.href).href,
+            body: entry.body,
+            form: entry.form || null,
+            formId: entry.formId || null,
+            page: root.location.pathname,
+            createdAt: now,
+            attempts: 0,
+            nextAttemptAt: now + CONFIG.baseDelay,
+            lastError: 'network',
+            challenge: null
+        };
+
+        await save(item);
+        requestSync();
+        schedule();
+        return item;
+    }
+
+    /* ---------- Setup ---------- */
+
+    // A connection coming back, the tab being shown or a new page load: try everything now
+    if (root.document) {
+        root.addEventListener('online', () => flush());
+        root.document.addEventListener('visibilitychange', () => {
+            if (root.document.visibilityState === 'visible') flush();
+        });
+        root.addEventListener('load', () => flush());
+
+        if (root.navigator.serviceWorker) {
+            root.navigator.serviceWorker.addEventListener('message', event => {
+                const data = event.data || {};
+                if (typeof data.type === 'string' && data.type.startsWith('leadqueue:')) {
+                    root.document.dispatchEvent(new CustomEvent(data.type, { detail: data.detail }));
+                }
+            });
+        }
+    }
+
+    /**
+     * Register how to stamp a kept lead: fn(body, challenge, form) returns (or resolves to)
+     * the new payload.antiSpam
+     */
+    function setStamper(fn) {
+        stamper = fn;
+    }
+
+    // Expose for other modules
+    root.LeadQueue = {
+        CONFIG,
+        enqueue,
+        flush,
+        setStamper,
+        pending: () => readAll()
+    };
+})(typeof window !== 'undefined' ? window : self);
@@ -1,32 +1,218 @@
-// Mobile Menu JavaScript
-document.addEventListener('DOMContentLoaded', function() {
-    const mobileMenuToggle = document.getElementById('mobileMenuToggle');
-    const mainNav = document.getElementById('mainNav');
-    const mobileNavOverlay = document.getElementById('mobileNavOverlay');
-    
-    if (mobileMenuToggle && mainNav && mobileNavOverlay) {
-        mobileMenuToggle.addEventListener('click', function() {
-            this.classList.toggle('active');
-            mainNav.classList.toggle('active');
-            mobileNavOverlay.classList.toggle('active');
-            document.body.style.overflow = mainNav.classList.contains('active') ? 'hidden' : '';
+/**
+ * Site Navigation
+ * Header menu with expandable "Services" and "Locations" submenus, and the slide-in panel
+ * it turns into below the tablet breakpoint
+ *
+ * Markup (the submenu lists are generated, see generator/render.js):
+ *   <button class="mobile-menu-toggle" id="mobileMenuToggle" aria-expanded="false" aria-controls="mainNav">
+ *   <nav class="main-nav" id="mainNav">
+ *       <div class="nav-item has-submenu">
+ *           <a href="services.html">Services</a>
+ *           <button class="submenu-toggle" aria-expanded="false" aria-controls="servicesSubmenu"></button>
+ *           <ul class="submenu" id="servicesSubmenu">...</ul>
+ *       </div>
+ *   </nav>
+ *   <div class="mobile-nav-overlay" id="mobileNavOverlay"></div>
+ *
+ * While the mobile panel is open, Tab stays inside it and Escape closes it, returning focus
+ * to the toggle; it also closes when the window grows to desktop width.
+ * Submenus open with their button (click, tap, Enter/Space, ArrowDown) and close on Escape;
+ * on desktop they also open on hover and close when focus or a click goes elsewhere.
+ */
+
+(function() {
+    'use strict';
+
+    const MOBILE_QUERY = '(max-width: 992px)';     // matches the RESPONSIVE breakpoint in style.css
+
+    const mobile = window.matchMedia(MOBILE_QUERY);
+
+    let toggle = null;
+    let nav = null;
+    let overlay = null;
+    let menuOpen = false;
+
+    /* ---------- Submenus ---------- */
+
+    const submenuItems = () => Array.from(nav.querySelectorAll('.has-submenu'));
+    const submenuLinks = item => Array.from(item.querySelectorAll('.submenu a'));
+
+    function setSubmenu(item, open) {
+        item.classList.toggle('open', open);
+        item.querySelector('.submenu-toggle').setAttribute('aria-expanded', String(open));
+    }
+
+    function openSubmenu(item, focusFirst) {
+        // Desktop dropdowns overlap, so only one at a time; the mobile accordion can hold several
+        if (!mobile.matches) submenuItems().filter(other => other !== item).forEach(other => setSubmenu(other, false));
+        setSubmenu(item, true);
+        if (focusFirst && submenuLinks(item).length) submenuLinks(item)[0].focus();
+    }
+
+    function closeSubmenus() {
+        submenuItems().forEach(item => setSubmenu(item, false));
+    }
+
+    /**
+     * Arrow keys inside an open submenu move between its links
+     */
+    function moveInSubmenu(item, step) {
+        const links = submenuLinks(item);
+        const index = links.indexOf(document.activeElement);
+        if (index === -1) return;
+        links[(index + step + links.length) % links.length].focus();
+    }
+
+    function setupSubmenu(item) {
+        const button = item.querySelector('.submenu-toggle');
+
+        button.addEventListener('click', () => {
+            if (item.classList.contains('open')) setSubmenu(item, false);
+            else openSubmenu(item, false);
+        });
+
+        button.addEventListener('keydown', event => {
+            if (event.key !== 'ArrowDown') return;
+            event.preventDefault();
+            openSubmenu(item, true);
+        });
+
+        item.addEventListener('keydown', event => {
+            if (!item.classList.contains('open')) return;
+
+            if (event.key === 'Escape') {
+                // Only the submenu closes; a second Escape closes the mobile panel
+                event.preventDefault();
+                event.stopPropagation();
+                setSubmenu(item, false);
+                button.focus();
+            } else if ((event.key === 'ArrowDown' || event.key === 'ArrowUp') && event.target.closest('.submenu')) {
+                event.preventDefault();
+                moveInSubmenu(item, event.key === 'ArrowDown' ? 1 : -1);
+            }
+        });
+
+        // Tabbing past a desktop dropdown closes it
+        item.addEventListener('focusout', event => {
+            if (!mobile.matches && !item.contains(event.relatedTarget)) setSubmenu(item, false);
         });
-        
-        mobileNavOverlay.addEventListener('click', function() {
-            mobileMenuToggle.classList.remove('active');
-            mainNav.classList.remove('active');
-            this.classList.remove('active');
-            document.body.style.overflow = '';
+    }
+
+    /* ---------- Mobile panel ---------- */
+
+    /**
+     * Everything Tab can reach in the open panel: the toggle (to close it) and the visible nav controls
+     */
+    function focusable() {
+        const inClosedSubmenu = el => {
+            const item = el.closest('.has-submenu');
+            return item && !item.classList.contains('open') && el.closest('.submenu');
+        };
+        return [toggle].concat(Array.from(nav.querySelectorAll('a[href], button')).filter(el => !inClosedSubmenu(el)));
+    }
+
+    function trapFocus(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            closeMenu();
+            return;
+        }
+        if (event.key !== 'Tab') return;
+
+        const items = focusable();
+        const first = items[0];
+        const last = items[items.length - 1];
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        } else if (!items.includes(document.activeElement)) {
+            event.preventDefault();
+            first.focus();
+        }
+    }
+
+    function openMenu() {
+        if (menuOpen || !nav) return;
+        menuOpen = true;
+
+        toggle.classList.add('active');
+        toggle.setAttribute('aria-expanded', 'true');
+        nav.classList.add('active');
+        overlay.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        document.addEventListener('keydown', trapFocus);
+
+        const first = nav.querySelector('a[href]');
+        if (first) first.focus();
+    }
+
+    /**
+     * Close the panel; focus goes back to the toggle unless the visitor is leaving the page
+     */
+    function closeMenu({ restoreFocus = true } = {}) {
+        if (!menuOpen) return;
+        menuOpen = false;
+
+        toggle.classList.remove('active');
+        toggle.setAttribute('aria-expanded', 'false');
+        nav.classList.remove('active');
+        overlay.classList.remove('active');
+        document.body.style.overflow = '';
+        document.removeEventListener('keydown', trapFocus);
+        closeSubmenus();
+
+        if (restoreFocus) toggle.focus();
+    }
+
+    /* ---------- Setup ---------- */
+
+    function init() {
+        toggle = document.getElementById('mobileMenuToggle');
+        nav = document.getElementById('mainNav');
+        overlay = document.getElementById('mobileNavOverlay');
+        if (!toggle || !nav || !overlay) return;
+
+        submenuItems().forEach(setupSubmenu);
+
+        toggle.addEventListener('click', () => {
+            if (menuOpen) closeMenu();
+            else openMenu();
         });
-        
+
+        overlay.addEventListener('click', () => closeMenu());
+
         // Close menu when clicking a nav link
-        mainNav.querySelectorAll('a').forEach(link => {
-            link.addEventListener('click', () => {
-                mobileMenuToggle.classList.remove('active');
-                mainNav.classList.remove('active');
-                mobileNavOverlay.classList.remove('active');
-                document.body.style.overflow = '';
-            });
+        nav.addEventListener('click', event => {
+            if (event.target.closest('a[href]')) closeMenu({ restoreFocus: false });
+        });
+
+        // Desktop dropdowns close on a click anywhere else
+        document.addEventListener('click', event => {
+            if (!mobile.matches && !nav.contains(event.target)) closeSubmenus();
         });
+
+        const onBreakpoint = () => {
+            closeSubmenus();
+            if (!mobile.matches) closeMenu({ restoreFocus: false });
+        };
+        if (mobile.addEventListener) mobile.addEventListener('change', onBreakpoint);
+        else mobile.addListener(onBreakpoint);
+    }
+
+    // Expose for other modules
+    window.SiteNav = {
+        open: openMenu,
+        close: closeMenu,
+        get isOpen() { return menuOpen; }
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
     }
-});
+})();
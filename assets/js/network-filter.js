@@ -0,0 +1,226 @@
+/**
+ * Network City Filter
+ * Search box and region chips above the networks.html city grid. Cards are matched on
+ * their name, aliases and the localities of their landing page (data-aliases and
+ * data-localities on each .city-card, written by the generator), so "Wakad" finds Pune.
+ * With city-data.js loaded, misspellings ("banglore") fall back to its fuzzy search.
+ *
+ * When nothing matches, #networkEmpty offers a quote with the searched place already
+ * filled in (inquiry.html?fromCity=...). Searches that find nothing are counted as
+ * city_search_miss once the visitor stops typing.
+ * Requires config.js; uses analytics.js and i18n.js when the page has them.
+ */
+
+(function() {
+    'use strict';
+
+    const MISS_DELAY = 1500;    // ms of no typing before a miss is counted
+    const MAX_QUERY = 60;
+
+    let search = null;
+    let chips = null;
+    let status = null;
+    let empty = null;
+    let regions = [];
+    let cards = [];
+    let region = '';
+    let missTimer = null;
+    let lastMiss = '';
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    // Same rule as city-data.js: case, spaces and punctuation don't matter
+    const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    const list = value => (value ? value.split('|') : []);
+
+    function readCard(el) {
+        const name = el.querySelector('.city-name').textContent.trim();
+        return {
+            el,
+            slug: el.dataset.city,
+            region: el.closest('.network-region').dataset.region,
+            names: [name, ...list(el.dataset.aliases)].map(normalize),
+            localities: list(el.dataset.localities).map(locality => ({ label: locality, key: normalize(locality) }))
+        };
+    }
+
+    /* ---------- Matching ---------- */
+
+    /**
+     * Cards matching the query, each with the locality that matched (null for the city itself)
+     */
+    function matchCards(query) {
+        const key = normalize(query);
+        const matches = new Map();
+        if (!key) return matches;
+
+        cards.forEach(card => {
+            if (card.names.some(name => name.includes(key))) {
+                matches.set(card, null);
+                return;
+            }
+            const locality = card.localities.find(item => item.key.includes(key));
+            if (locality) matches.set(card, locality.label);
+        });
+
+        // Typo tolerance: let city-data.js guess the city ("hinjewdi" -> Hinjewadi, Pune)
+        if (!matches.size && window.CityData) {
+            window.CityData.search(query, 3).forEach(entry => {
+                const card = cards.find(item => item.slug === entry.city.slug);
+                if (card && !matches.has(card)) matches.set(card, entry.locality);
+            });
+        }
+        return matches;
+    }
+
+    /* ---------- Rendering ---------- */
+
+    function showMatch(card, locality) {
+        let note = card.el.querySelector('.city-match');
+        if (!locality) {
+            if (note) note.remove();
+            return;
+        }
+        if (!note) {
+            note = document.createElement('span');
+            note.className = 'city-match';
+            card.el.querySelector('.city-name').after(note);
+        }
+        note.textContent = locality;
+    }
+
+    function renderEmpty(query) {
+        empty.hidden = !query;
+        if (!query) return;
+
+        empty.querySelector('.network-empty-text').textContent = t('networkFilter.emptyText',
+            "We don't have a page for “{query}” yet, but our carriers cover most of India. Request a quote and we'll confirm your route.",
+            { query });
+        empty.querySelector('[data-network-quote]').href = `inquiry.html?fromCity=${encodeURIComponent(query)}`;
+    }
+
+    function trackMiss(query) {
+        clearTimeout(missTimer);
+        if (!query || !window.Analytics) return;
+        missTimer = setTimeout(() => {
+            if (normalize(query) === lastMiss) return;
+            lastMiss = normalize(query);
+            window.Analytics.track('city_search_miss', { query });
+        }, MISS_DELAY);
+    }
+
+    function apply() {
+        const query = search.value.trim().slice(0, MAX_QUERY);
+        const matches = query ? matchCards(query) : null;
+        let shown = 0;
+
+        cards.forEach(card => {
+            const visible = (!region || card.region === region) && (!matches || matches.has(card));
+            card.el.hidden = !visible;
+            showMatch(card, visible && matches ? matches.get(card) : null);
+            if (visible) shown++;
+        });
+        regions.forEach(block => {
+            block.hidden = !block.querySelector('.city-card:not([hidden])');
+        });
+
+        const nowhere = Boolean(matches) && matches.size === 0;
+        renderEmpty(nowhere ? query : '');
+        if (nowhere) trackMiss(query);
+        else clearTimeout(missTimer);
+
+        if (!query && !region) {
+            status.textContent = '';
+        } else if (shown === 0 && !nowhere) {
+            // Matches exist, just not in the chosen region
+            status.textContent = t('networkFilter.otherRegions', 'No matches in {region}. Try "All regions".', { region });
+        } else if (!nowhere) {
+            status.textContent = t('networkFilter.count', 'Showing {count} of {total} cities', { count: shown, total: cards.length });
+        } else {
+            status.textContent = t('networkFilter.none', 'No city matches “{query}”', { query });
+        }
+    }
+
+    function setRegion(name) {
+        region = name;
+        chips.querySelectorAll('.region-chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', String(chip.dataset.region === name));
+        });
+        apply();
+    }
+
+    function renderChips() {
+        const names = [...new Set(regions.map(block => block.dataset.region))];
+        chips.innerHTML = '';
+        [''].concat(names).forEach(name => {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'region-chip';
+            chip.dataset.region = name;
+            chip.setAttribute('aria-pressed', String(name === region));
+            if (name) {
+                chip.textContent = name;
+            } else {
+                chip.textContent = 'All regions';
+                chip.setAttribute('data-i18n', 'networkFilter.all');
+            }
+            chip.addEventListener('click', () => setRegion(name));
+            chips.appendChild(chip);
+        });
+        if (window.I18n) window.I18n.translate(chips);
+    }
+
+    /* ---------- Setup ---------- */
+
+    function init() {
+        const filter = document.getElementById('networkFilter');
+        empty = document.getElementById('networkEmpty');
+        if (!filter || !empty) return;
+
+        search = filter.querySelector('.network-search');
+        chips = filter.querySelector('.region-chips');
+        status = filter.querySelector('.network-filter-status');
+        regions = Array.from(document.querySelectorAll('.network-region[data-region]'));
+        cards = Array.from(document.querySelectorAll('.network-region .city-card')).map(readCard);
+        if (!cards.length) return;
+
+        const call = empty.querySelector('[data-network-call]');
+        call.href = `tel:${window.SiteConfig.contact.phone}`;
+
+        renderChips();
+        filter.hidden = false;
+
+        search.addEventListener('input', apply);
+        search.addEventListener('keydown', event => {
+            if (event.key === 'Escape' && search.value) {
+                event.preventDefault();
+                search.value = '';
+                apply();
+            } else if (event.key === 'Enter') {
+                // One result: go straight to it
+                event.preventDefault();
+                const visible = cards.filter(card => !card.el.hidden);
+                if (search.value.trim() && visible.length === 1) visible[0].el.click();
+            }
+        });
+
+        document.addEventListener('i18n:change', apply);
+    }
+
+    // Expose for other modules
+    window.NetworkFilter = {
+        match: query => Array.from(matchCards(query), ([card, locality]) => ({ city: card.slug, locality })),
+        setRegion: name => setRegion(name || ''),
+        get region() { return region; }
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,260 @@
+/**
+ * Network Map
+ * Interactive India map on networks.html: hovering, tapping or focusing a city shows a card
+ * with its popular routes, their transit times and a link to the city's landing page.
+ * The map itself (outline, routes, one <a class="map-city"> per city) is generated from
+ * data/cities.json, see generator/render.js; the region grids below it stay the plain list.
+ *
+ * Keyboard: the map is one Tab stop; arrow keys move to the nearest city in that direction,
+ * Home/End jump to the first/last city, Enter opens the city page and Escape closes the card.
+ * On touch screens the first tap shows the card and a second tap follows the link.
+ * Transit times come from estimator.js (with city-data.js); without it the card lists the routes only.
+ */
+
+(function() {
+    'use strict';
+
+    const ESTIMATE_VEHICLE = 'sedan';   // transit days don't depend on the vehicle class
+
+    let map = null;
+    let canvas = null;
+    let card = null;
+    let markers = [];
+    let active = null;
+    let pointerType = 'mouse';
+    let tappedActive = false;       // the tapped marker already had its card open
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    const markerFor = slug => markers.find(marker => marker.dataset.city === slug) || null;
+
+    /**
+     * Marker centre in SVG units, from its transform="translate(x y)"
+     */
+    function position(marker) {
+        const [x, y] = (marker.getAttribute('transform').match(/-?[\d.]+/g) || [0, 0]).map(Number);
+        return { x, y };
+    }
+
+    /* ---------- Card ---------- */
+
+    function transitText(from, to, note) {
+        if (note) return note;
+        if (!window.PriceEstimator) return '';
+
+        const result = window.PriceEstimator.estimate(from, to, ESTIMATE_VEHICLE);
+        if (!result) return '';
+        const { min, max } = result.transitDays;
+        return min === max
+            ? t('networkMap.day', '{count} day', { count: min })
+            : t('networkMap.days', '{min}–{max} days', { min, max });
+    }
+
+    function routeNote(a, b) {
+        const route = map.querySelector(`.map-route[data-cities="${[a, b].sort().join(' ')}"]`);
+        return route ? route.dataset.note || '' : '';
+    }
+
+    function renderCard(marker) {
+        const name = marker.dataset.name;
+        const routes = marker.dataset.routes.split(' ').filter(Boolean).map(markerFor).filter(Boolean);
+
+        card.innerHTML = `
+            <h3 class="network-map-city"></h3>
+            <ul class="network-map-routes"></ul>
+            <a class="network-map-link"></a>`;
+
+        const title = card.querySelector('.network-map-city');
+        title.textContent = name;
+        if (marker.classList.contains('is-hub')) {
+            const badge = document.createElement('span');
+            badge.className = 'network-map-badge';
+            badge.textContent = t('networkMap.hub', 'Hub');
+            title.appendChild(badge);
+        }
+
+        const list = card.querySelector('.network-map-routes');
+        routes.forEach(other => {
+            const item = document.createElement('li');
+            const label = document.createElement('span');
+            const time = document.createElement('strong');
+            label.textContent = `${name} → ${other.dataset.name}`;
+            time.textContent = transitText(name, other.dataset.name, routeNote(marker.dataset.city, other.dataset.city));
+            item.append(label, time);
+            list.appendChild(item);
+        });
+        list.hidden = routes.length === 0;
+
+        const link = card.querySelector('.network-map-link');
+        link.href = marker.getAttribute('href');
+        link.textContent = `${t('networkMap.viewPage', 'Car carrier in {city}', { city: name })} →`;
+    }
+
+    /**
+     * Place the card beside the marker, on whichever side has more room
+     */
+    function placeCard(marker) {
+        const box = canvas.getBoundingClientRect();
+        const dot = marker.getBoundingClientRect();
+        const x = dot.left + dot.width / 2 - box.left;
+        const y = dot.top + dot.height / 2 - box.top;
+
+        card.classList.toggle('is-left', x > box.width / 2);
+        card.style.left = `${x}px`;
+        card.style.top = `${y}px`;
+    }
+
+    function show(marker) {
+        if (typeof marker === 'string') marker = markerFor(marker);
+        if (!marker) return;
+
+        active = marker;
+        const slug = marker.dataset.city;
+        markers.forEach(other => other.classList.toggle('is-active', other === marker));
+        map.querySelectorAll('.map-route').forEach(route => {
+            const touches = route.dataset.cities.split(' ').includes(slug);
+            route.classList.toggle('is-active', touches);
+            route.classList.toggle('is-dimmed', !touches);
+        });
+        map.classList.add('has-active');
+
+        renderCard(marker);
+        card.hidden = false;
+        placeCard(marker);
+    }
+
+    function hide() {
+        if (!active) return;
+        active = null;
+        markers.forEach(marker => marker.classList.remove('is-active'));
+        map.querySelectorAll('.map-route').forEach(route => route.classList.remove('is-active', 'is-dimmed'));
+        map.classList.remove('has-active');
+        card.hidden = true;
+    }
+
+    /* ---------- Keyboard ---------- */
+
+    /**
+     * Only one marker is in the Tab order; arrows move it
+     */
+    function setTabStop(marker) {
+        markers.forEach(other => other.setAttribute('tabindex', other === marker ? '0' : '-1'));
+    }
+
+    /**
+     * Nearest marker in an arrow's direction, preferring ones straight ahead over ones off to the side
+     */
+    function nearest(from, key) {
+        const [axis, cross, sign] = {
+            ArrowRight: ['x', 'y', 1],
+            ArrowLeft: ['x', 'y', -1],
+            ArrowDown: ['y', 'x', 1],
+            ArrowUp: ['y', 'x', -1]
+        }[key];
+        const origin = position(from);
+
+        let best = null;
+        let bestScore = Infinity;
+        markers.forEach(marker => {
+            if (marker === from) return;
+            const point = position(marker);
+            const ahead = (point[axis] - origin[axis]) * sign;
+            if (ahead <= 0) return;
+            const score = ahead + Math.abs(point[cross] - origin[cross]) * 2;
+            if (score < bestScore) {
+                best = marker;
+                bestScore = score;
+            }
+        });
+        return best;
+    }
+
+    function onKeydown(event) {
+        const current = event.target.closest('.map-city');
+        if (!current) return;
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            hide();
+            return;
+        }
+
+        let next = null;
+        if (event.key.startsWith('Arrow')) next = nearest(current, event.key) || current;
+        else if (event.key === 'Home') next = markers[0];
+        else if (event.key === 'End') next = markers[markers.length - 1];
+        if (!next) return;
+
+        event.preventDefault();
+        setTabStop(next);
+        next.focus();
+    }
+
+    /* ---------- Setup ---------- */
+
+    function init() {
+        map = document.getElementById('networkMap');
+        card = document.getElementById('networkMapCard');
+        if (!map || !card) return;
+
+        canvas = map.querySelector('.network-map-canvas');
+        markers = Array.from(map.querySelectorAll('.map-city'));
+        if (!markers.length) return;
+
+        map.hidden = false;
+        setTabStop(map.querySelector('.map-city.is-hub') || markers[0]);
+
+        markers.forEach(marker => {
+            marker.addEventListener('mouseenter', () => show(marker));
+            marker.addEventListener('focus', () => {
+                setTabStop(marker);
+                show(marker);
+            });
+            marker.addEventListener('click', event => {
+                // First tap shows the card; the link works on the second
+                if (pointerType !== 'mouse' && !tappedActive) {
+                    event.preventDefault();
+                    show(marker);
+                }
+            });
+        });
+
+        canvas.addEventListener('pointerdown', event => {
+            pointerType = event.pointerType || 'mouse';
+            tappedActive = Boolean(active) && event.target.closest('.map-city') === active;
+        });
+        canvas.addEventListener('keydown', onKeydown);
+        canvas.addEventListener('mouseleave', () => {
+            if (!canvas.contains(document.activeElement)) hide();
+        });
+        canvas.addEventListener('focusout', event => {
+            if (!canvas.contains(event.relatedTarget)) hide();
+        });
+
+        // A tap elsewhere closes the card
+        document.addEventListener('pointerdown', event => {
+            if (active && !canvas.contains(event.target)) hide();
+        });
+
+        document.addEventListener('i18n:change', () => {
+            if (active) renderCard(active);
+        });
+    }
+
+    // Expose for other modules
+    window.NetworkMap = {
+        show,
+        hide,
+        transitText,
+        get active() { return active ? active.dataset.city : null; }
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,196 @@
+/**
+ * Phone Input
+ * Country picker (+91 by default) and as-you-type spacing for lead form phone fields:
+ *   <input type="tel" name="phone" data-phone-input>
+ * The input keeps the national number ("98765 43210"); the chosen calling code sits in its
+ * data-dial-code, which form-engine.js puts in front when it reads the field, so the
+ * submitted value normalizes to E.164 ("+919876543210", see FormRules.normalizePhone).
+ *
+ * Typing or pasting a full number ("+971 50 123 4567", "0091...") switches the picker to
+ * that country; a leading 0 or 91 before an Indian number is dropped. "Other" takes any
+ * number with its own "+" code. Countries and their formats come from FormRules.PHONE_COUNTRIES.
+ * Requires form-rules.js; uses i18n.js when the page has it.
+ */
+
+(function() {
+    'use strict';
+
+    const { PHONE_COUNTRIES, phoneCountry } = window.FormRules;
+
+    const DEFAULT_COUNTRY = 'IN';
+    const OTHER = '';
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    const countryFor = code => PHONE_COUNTRIES.find(country => country.code === code) || null;
+
+    /* ---------- Formatting ---------- */
+
+    /**
+     * Space national digits in the country's groups; digits past the last group stay on it
+     */
+    function format(digits, country) {
+        if (!country) return digits;
+        const parts = [];
+        let rest = digits;
+        country.groups.forEach((size, i) => {
+            if (!rest) return;
+            const take = i === country.groups.length - 1 ? rest.length : size;
+            parts.push(rest.slice(0, take));
+            rest = rest.slice(take);
+        });
+        return parts.join(' ');
+    }
+
+    /**
+     * Typed digits without what doesn't belong to the national number: a trunk 0 or the calling code
+     */
+    function stripPrefix(digits, country) {
+        if (country.trunk) digits = digits.replace(new RegExp(`^${country.trunk}+`), '');
+        if (digits.length > country.digits[1] && digits.startsWith(country.dial)) digits = digits.slice(country.dial.length);
+        return digits;
+    }
+
+    const nationalDigits = (digits, country) => stripPrefix(digits, country).slice(0, country.digits[1]);
+
+    const placeholderFor = country => (country ? format('X'.repeat(country.digits[1]), country) : '+XX XXXX XXXX');
+
+    /* ---------- Component ---------- */
+
+    function countryName(country) {
+        try {
+            const lang = document.documentElement.lang || 'en';
+            return new Intl.DisplayNames([lang], { type: 'region' }).of(country.code) || country.name;
+        } catch (error) {
+            return country.name;
+        }
+    }
+
+    function renderOptions(select) {
+        const current = select.value;
+        select.innerHTML = '';
+        PHONE_COUNTRIES.forEach(country => {
+            const option = new Option(`${country.code} +${country.dial}`, country.code);
+            option.title = countryName(country);
+            select.appendChild(option);
+        });
+        select.appendChild(new Option(t('phoneInput.other', 'Other'), OTHER));
+        select.value = current;
+        select.setAttribute('aria-label', t('phoneInput.country', 'Country code'));
+    }
+
+    function enhance(input) {
+        if (input.dataset.phoneReady) return;
+        input.dataset.phoneReady = 'true';
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'phone-input';
+        const select = document.createElement('select');
+        select.className = 'phone-country';
+        input.before(wrapper);
+        wrapper.append(select, input);
+
+        input.setAttribute('inputmode', 'tel');
+        // Pages with a sample number as placeholder get one for the chosen country
+        const samplePlaceholder = /X/.test(input.placeholder);
+
+        renderOptions(select);
+
+        function setCountry(code) {
+            select.value = code;
+            const country = countryFor(code);
+            if (country) {
+                input.dataset.dialCode = country.dial;
+                input.setAttribute('autocomplete', 'tel-national');
+            } else {
+                delete input.dataset.dialCode;
+                input.setAttribute('autocomplete', 'tel');
+            }
+            if (samplePlaceholder) input.placeholder = placeholderFor(country);
+        }
+
+        /**
+         * Re-space the value, keeping the caret after the same number of digits
+         */
+        function reformat() {
+            const value = input.value;
+            const caret = input.selectionStart === null ? value.length : input.selectionStart;
+            const digitsBeforeCaret = value.slice(0, caret).replace(/\D/g, '').length;
+
+            // Only a "+" or "00" so far: an international number is on its way
+            if (/^\s*(\+|00?)\s*$/.test(value)) return;
+
+            // A full international number: let its calling code pick the country
+            const international = value.trim().match(/^(\+|00)\s*(\d[\d\s().-]*)$/);
+            if (international) {
+                const typed = international[2].replace(/\D/g, '');
+                const country = phoneCountry(typed);
+                // Wait for the whole code: "+9" could still become +91, +971...
+                if (!country || typed.length <= country.dial.length) {
+                    const longer = PHONE_COUNTRIES.some(item => item.dial !== typed && item.dial.startsWith(typed));
+                    if (!longer) setCountry(country ? country.code : OTHER);
+                    return;
+                }
+                setCountry(country.code);
+                input.value = format(nationalDigits(typed.slice(country.dial.length), country), country);
+                if (document.activeElement === input) input.setSelectionRange(input.value.length, input.value.length);
+                return;
+            }
+
+            const country = countryFor(select.value);
+            if (!country) return;       // "Other": leave the number as typed
+
+            const typed = value.replace(/\D/g, '');
+            const national = stripPrefix(typed, country);
+            const formatted = format(national.slice(0, country.digits[1]), country);
+            if (formatted === value) return;
+
+            const dropped = typed.length - national.length;
+            input.value = formatted;
+            // Place the caret after the same digit it followed (less any dropped prefix)
+            let seen = 0;
+            let position = 0;
+            const target = Math.max(0, digitsBeforeCaret - dropped);
+            while (position < formatted.length && seen < target) {
+                if (/\d/.test(formatted[position])) seen++;
+                position++;
+            }
+            if (document.activeElement === input) input.setSelectionRange(position, position);
+        }
+
+        setCountry(DEFAULT_COUNTRY);
+        if (input.value) reformat();
+
+        input.addEventListener('input', reformat);
+        select.addEventListener('change', () => {
+            setCountry(select.value);
+            reformat();
+            input.dispatchEvent(new Event('input', { bubbles: true }));
+            input.focus();
+        });
+        // form.reset() restores the input but not the picker
+        if (input.form) {
+            input.form.addEventListener('reset', () => setTimeout(() => setCountry(DEFAULT_COUNTRY)));
+        }
+        document.addEventListener('i18n:change', () => renderOptions(select));
+    }
+
+    function init() {
+        document.querySelectorAll('input[type="tel"][data-phone-input]').forEach(enhance);
+    }
+
+    // Expose for other modules
+    window.PhoneInput = {
+        enhance,
+        format: (digits, code) => format(digits, countryFor(code))
+    };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
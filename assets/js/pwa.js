@@ -0,0 +1,123 @@
+/**
+ * Installable App
+ * Registers the service worker (sw.js) that makes the site installable, keeps it working
+ * offline and sends queued leads in the background (see lead-queue.js).
+ *
+ * Updates: a new sw.js (one with a new precache VERSION) installs in the background and
+ * waits. A bar at the bottom of the page then offers "Refresh"; accepting tells the worker to
+ * take over and reloads once it has, so the page and its cached files always match.
+ * Dismissing leaves the old version in charge until every tab of the site is closed.
+ * The worker is also checked for updates when a tab is shown again, at most every CONFIG.checkInterval.
+ *
+ * Only registers on https (or localhost); uses analytics.js and i18n.js when the page has them.
+ */
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        url: 'sw.js',
+        checkInterval: 60 * 60000       // ms between update checks of a long-open tab
+    };
+
+    const MESSAGES = {
+        update: 'A new version of this site is available.',
+        refresh: 'Refresh',
+        dismiss: 'Not now'
+    };
+
+    const t = (key, fallback, params) => (window.I18n ? window.I18n.t(key, fallback, params) : fallback);
+
+    let refreshing = false;
+    let lastCheck = Date.now();
+
+    /* ---------- Update bar ---------- */
+
+    function showUpdate(worker) {
+        if (document.querySelector('.app-update')) return;
+
+        const bar = document.createElement('div');
+        bar.className = 'app-update';
+        bar.setAttribute('role', 'status');
+        bar.innerHTML = `
+            <p class="app-update-text"></p>
+            <div class="app-update-actions">
+                <button type="button" class="btn btn-small app-update-refresh"></button>
+                <button type="button" class="app-update-dismiss"></button>
+            </div>`;
+
+        const render = () => {
+            bar.querySelector('.app-update-text').textContent = t('pwa.update', MESSAGES.update);
+            bar.querySelector('.app-update-refresh').textContent = t('pwa.refresh', MESSAGES.refresh);
+            bar.querySelector('.app-update-dismiss').textContent = t('pwa.dismiss', MESSAGES.dismiss);
+        };
+        render();
+        document.addEventListener('i18n:change', render);
+
+        const close = () => {
+            document.removeEventListener('i18n:change', render);
+            bar.remove();
+        };
+        bar.querySelector('.app-update-refresh').addEventListener('click', event => {
+            event.currentTarget.disabled = true;
+            refreshing = true;
+            worker.postMessage({ type: 'skip-waiting' });
+        });
+        bar.querySelector('.app-update-dismiss').addEventListener('click', close);
+
+        document.body.appendChild(bar);
+    }
+
+    /**
+     * Offer the update once a new worker has installed; the very first install has
+     * nothing to replace, so it simply takes over quietly
+     */
+    function watchInstall(registration) {
+        const worker = registration.installing;
+        if (!worker) return;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdate(worker);
+        });
+    }
+
+    /* ---------- Registration ---------- */
+
+    function register() {
+        navigator.serviceWorker.register(CONFIG.url).then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) showUpdate(registration.waiting);
+            watchInstall(registration);
+            registration.addEventListener('updatefound', () => watchInstall(registration));
+
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState !== 'visible' || Date.now() - lastCheck < CONFIG.checkInterval) return;
+                lastCheck = Date.now();
+                registration.update().catch(() => {});
+            });
+        }).catch(error => {
+            console.warn('Service worker registration failed:', error);
+        });
+
+        // The new worker took over: reload only when the visitor asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!refreshing) return;
+            refreshing = false;
+            window.location.reload();
+        });
+    }
+
+    function init() {
+        if ('serviceWorker' in navigator && window.isSecureContext) {
+            if (document.readyState === 'complete') register();
+            else window.addEventListener('load', register);
+        }
+
+        window.addEventListener('appinstalled', () => {
+            if (window.Analytics) window.Analytics.track('app_install', {});
+        });
+    }
+
+    init();
+
+    // Expose for other modules
+    window.PWA = { CONFIG };
+})();
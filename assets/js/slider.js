@@ -1,68 +1,267 @@
 /**
- * Hero Background Image Slider
- * Automatically fades between 4 images every 3 seconds
- * Images: car1.webp, car2.webp, car3.webp, car4.webp behind black overlay
+ * Hero Slider
+ * Accessible carousel: prev/next buttons, dot indicators, arrow keys, touch swipe and autoplay
+ * Autoplay pauses on hover, on keyboard focus, while the tab is hidden and with the pause button;
+ * with prefers-reduced-motion it is off and slides switch without a fade
+ *
+ * Markup (any number per page):
+ *   <section data-slider data-slider-interval="5000" data-slider-transition="1000"
+ *            data-slider-autoplay="true" data-slider-label="Our car carriers">
+ *       <div data-slider-track>
+ *           <div class="hero-slide" style="background-image: url('first.webp')"></div>
+ *           <div class="hero-slide" data-slide-image="second.webp"></div>
+ *       </div>
+ *   </section>
+ * Slides after the first load their data-slide-image just before they are shown.
+ * Every change fires "slider:change" on the root with detail { index, source }.
  */
 
 (function() {
     'use strict';
 
-    const SLIDE_INTERVAL = 3000; // 3 seconds between slides
+    const DEFAULTS = {
+        interval: 5000,     // ms a slide stays up during autoplay
+        transition: 1000,   // ms cross-fade
+        autoplay: true
+    };
 
-    let currentSlide = 0;
-    let slides = [];
-    let intervalId = null;
+    const SWIPE_THRESHOLD = 40; // px of horizontal travel that counts as a swipe
 
-    /**
-     * Initialize the slider
-     */
-    function init() {
-        slides = document.querySelectorAll('.hero-slide');
-        
-        if (slides.length === 0) {
-            return;
-        }
+    const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+    const instances = [];
 
-        // Set first slide as active
-        slides[0].classList.add('active');
+    function readOptions(root) {
+        const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(value) ? Number(value) : fallback);
+        const { sliderInterval, sliderTransition, sliderAutoplay } = root.dataset;
 
-        // Start auto-sliding immediately
-        startSlider();
+        return {
+            interval: Math.max(1000, number(sliderInterval, DEFAULTS.interval)),
+            transition: Math.max(0, number(sliderTransition, DEFAULTS.transition)),
+            autoplay: sliderAutoplay === undefined ? DEFAULTS.autoplay : sliderAutoplay !== 'false'
+        };
     }
 
-    /**
-     * Go to next slide with cross-fade effect
-     */
-    function nextSlide() {
-        const prevSlide = currentSlide;
-        currentSlide = (currentSlide + 1) % slides.length;
-
-        // Fade out previous, fade in current
-        slides[prevSlide].classList.remove('active');
-        slides[currentSlide].classList.add('active');
+    function button(className, label, html) {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.className = className;
+        element.setAttribute('aria-label', label);
+        element.innerHTML = html;
+        return element;
     }
 
     /**
-     * Start automatic sliding
+     * Set up one slider; returns its controller
      */
-    function startSlider() {
-        if (intervalId) return; // Already running
-        intervalId = setInterval(nextSlide, SLIDE_INTERVAL);
+    function create(root) {
+        const track = root.querySelector('[data-slider-track]') || root;
+        const slides = Array.from(track.children);
+        const options = readOptions(root);
+        const paused = new Set();   // reasons autoplay is held: hover, focus, hidden, user, motion
+        let current = 0;
+        let timer = null;
+        let destroyed = false;
+        // Every listener on the root and the document goes with destroy()
+        const listeners = new AbortController();
+        const { signal } = listeners;
+
+        if (slides.length < 2) {
+            if (slides[0]) slides[0].classList.add('active');
+            return null;
+        }
+
+        root.style.setProperty('--slider-transition', `${options.transition}ms`);
+        root.setAttribute('role', 'region');
+        root.setAttribute('aria-roledescription', 'carousel');
+        root.setAttribute('aria-label', root.dataset.sliderLabel || 'Image slider');
+        track.setAttribute('aria-live', 'off');
+
+        slides.forEach((slide, i) => {
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${i + 1} of ${slides.length}`);
+        });
+
+        /* ---------- Controls ---------- */
+
+        const controls = document.createElement('div');
+        controls.className = 'slider-controls';
+
+        const prev = button('slider-arrow slider-prev', 'Previous slide', '<span aria-hidden="true">‹</span>');
+        const next = button('slider-arrow slider-next', 'Next slide', '<span aria-hidden="true">›</span>');
+        const toggle = button('slider-toggle', 'Pause slideshow', '');
+
+        const dots = document.createElement('div');
+        dots.className = 'slider-dots';
+        const dotButtons = slides.map((slide, i) => {
+            const dot = button('slider-dot', `Show slide ${i + 1}`, '');
+            dot.addEventListener('click', () => goTo(i, 'dot'));
+            dots.appendChild(dot);
+            return dot;
+        });
+
+        controls.append(prev, dots, next, toggle);
+        root.appendChild(controls);
+
+        /* ---------- Slides ---------- */
+
+        function load(slide) {
+            const image = slide.dataset.slideImage;
+            if (!image) return;
+            slide.style.backgroundImage = `url('${image}')`;
+            delete slide.dataset.slideImage;
+        }
+
+        function render() {
+            slides.forEach((slide, i) => {
+                const active = i === current;
+                slide.classList.toggle('active', active);
+                slide.setAttribute('aria-hidden', String(!active));
+            });
+            dotButtons.forEach((dot, i) => {
+                if (i === current) dot.setAttribute('aria-current', 'true');
+                else dot.removeAttribute('aria-current');
+            });
+
+            load(slides[current]);
+            load(slides[(current + 1) % slides.length]);
+        }
+
+        function goTo(index, source) {
+            current = (index + slides.length) % slides.length;
+            render();
+            schedule();
+            root.dispatchEvent(new CustomEvent('slider:change', { bubbles: true, detail: { index: current, source } }));
+        }
+
+        /* ---------- Autoplay ---------- */
+
+        const playing = () => options.autoplay && paused.size === 0;
+
+        function schedule() {
+            clearTimeout(timer);
+            if (destroyed) return;
+            timer = playing() ? setTimeout(() => goTo(current + 1, 'auto'), options.interval) : null;
+        }
+
+        function hold(reason, on) {
+            if (on) paused.add(reason);
+            else paused.delete(reason);
+
+            // Announce slide changes only while the user is in control
+            track.setAttribute('aria-live', playing() ? 'off' : 'polite');
+            schedule();
+        }
+
+        function renderToggle() {
+            const userPaused = paused.has('user');
+            toggle.classList.toggle('is-paused', userPaused);
+            toggle.setAttribute('aria-label', userPaused ? 'Play slideshow' : 'Pause slideshow');
+            toggle.hidden = !options.autoplay || paused.has('motion');
+        }
+
+        function applyMotionPreference() {
+            root.classList.toggle('slider-reduced-motion', reducedMotion.matches);
+            hold('motion', reducedMotion.matches);
+            renderToggle();
+        }
+
+        /* ---------- Interaction ---------- */
+
+        prev.addEventListener('click', () => goTo(current - 1, 'prev'));
+        next.addEventListener('click', () => goTo(current + 1, 'next'));
+        toggle.addEventListener('click', () => {
+            hold('user', !paused.has('user'));
+            renderToggle();
+            root.dispatchEvent(new CustomEvent('slider:toggle', { bubbles: true, detail: { paused: paused.has('user') } }));
+        });
+
+        root.addEventListener('keydown', event => {
+            if (event.target.closest('input, textarea, select')) return;
+            if (event.key === 'ArrowLeft') goTo(current - 1, 'key');
+            else if (event.key === 'ArrowRight') goTo(current + 1, 'key');
+            else return;
+            event.preventDefault();
+        }, { signal });
+
+        root.addEventListener('mouseenter', () => hold('hover', true), { signal });
+        root.addEventListener('mouseleave', () => hold('hover', false), { signal });
+        root.addEventListener('focusin', () => hold('focus', true), { signal });
+        root.addEventListener('focusout', event => {
+            if (!root.contains(event.relatedTarget)) hold('focus', false);
+        }, { signal });
+
+        let touchStart = null;
+        root.addEventListener('touchstart', event => {
+            const touch = event.touches[0];
+            touchStart = event.touches.length === 1 ? { x: touch.clientX, y: touch.clientY } : null;
+        }, { passive: true, signal });
+        root.addEventListener('touchend', event => {
+            if (!touchStart) return;
+            const touch = event.changedTouches[0];
+            const dx = touch.clientX - touchStart.x;
+            const dy = touch.clientY - touchStart.y;
+            touchStart = null;
+
+            // Mostly-horizontal swipes only, so vertical page scrolling is left alone
+            if (Math.abs(dx) >= SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy) * 1.5) {
+                goTo(current + (dx < 0 ? 1 : -1), 'swipe');
+            }
+        }, { passive: true, signal });
+
+        document.addEventListener('visibilitychange', () => hold('hidden', document.hidden), { signal });
+
+        if (reducedMotion.addEventListener) {
+            reducedMotion.addEventListener('change', applyMotionPreference);
+        }
+
+        hold('hidden', document.hidden);
+        applyMotionPreference();
+        render();
+
+        return {
+            root,
+            next: () => goTo(current + 1, 'api'),
+            prev: () => goTo(current - 1, 'api'),
+            goTo: index => goTo(index, 'api'),
+            pause: () => { hold('user', true); renderToggle(); },
+            play: () => { hold('user', false); renderToggle(); },
+            get index() { return current; },
+            destroy() {
+                destroyed = true;
+                clearTimeout(timer);
+                listeners.abort();
+                if (reducedMotion.removeEventListener) reducedMotion.removeEventListener('change', applyMotionPreference);
+                controls.remove();
+                if (instances.includes(this)) instances.splice(instances.indexOf(this), 1);
+                delete root.dataset.sliderReady;
+            }
+        };
     }
 
     /**
-     * Pause the slider
+     * Set up every [data-slider] inside scope that isn't running yet
      */
-    function pauseSlider() {
-        if (intervalId) {
-            clearInterval(intervalId);
-            intervalId = null;
-        }
+    function init(scope = document) {
+        scope.querySelectorAll('[data-slider]').forEach(root => {
+            if (root.dataset.sliderReady) return;
+            root.dataset.sliderReady = 'true';
+            const slider = create(root);
+            if (slider) instances.push(slider);
+        });
+        return instances;
     }
 
+    // Expose for other modules
+    window.HeroSlider = {
+        init,
+        instances,
+        get: root => instances.find(slider => slider.root === root) || null
+    };
+
     // Initialize when DOM is ready
     if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
+        document.addEventListener('DOMContentLoaded', () => init());
     } else {
         init();
     }
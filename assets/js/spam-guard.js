@@ -0,0 +1,273 @@
+/**
+ * Lead Form Spam Guard
+ * Layered checks on every form bound by form-engine.js, run after validation and before
+ * anything is sent:
+ *   honeypot   a hidden "website" field people never see; bots fill it in
+ *   too fast   sent less than CONFIG.minSeconds after the form appeared
+ *   throttle   more than CONFIG.maxSubmissions sent from this browser within CONFIG.windowMinutes
+ *   duplicate  the exact same submission already sent within CONFIG.duplicateHours
+ *   token      a small proof of work (hashcash) bound to the email address and to a challenge
+ *              fetched from SiteConfig.endpoints.challenge when the form appears, as payload.antiSpam
+ * The lead server (server/spam.js) repeats the checks that matter when a bot skips this file.
+ * Without a challenge (no endpoint, or offline) the lead goes without a token; lead-queue.js
+ * stamps a kept lead with the challenge the server sends back, through setStamper.
+ * Disposable email domains are a field rule in form-rules.js, so they show as an inline error.
+ *
+ * A rejection shows in the form's status line with what the visitor can do next, and fires
+ * "leadform:blocked" ({ reason }) on the form.
+ * Requires config.js and form-engine.js; uses i18n.js when the page has it.
+ */
+
+(function() {
+    'use strict';
+
+    const CONFIG = {
+        honeypot: 'website',
+        minSeconds: 3,
+        maxSubmissions: 3,
+        windowMinutes: 10,
+        duplicateHours: 24,
+        difficulty: 12,         // leading zero bits; must be at least server/config.js spam.difficulty
+        maxAttempts: 1000000    // give up rather than hang on a slow device; the server decides
+    };
+
+    const STAMP_VERSION = 2;
+    const STORAGE_KEY = 'spw-sent';
+
+    const MESSAGES = {
+        spam: "We couldn't send this form. Please call us on {phone} instead.",
+        tooFast: 'That was quick! Please check your details and press send again.',
+        throttled: "You've sent several requests in the last few minutes. Please wait a little, or call us on {phone}.",
+        duplicate: "We've already received this exact request. Our team will get back to you soon.",
+        token: 'This page has been open for a long time. Please reload it and send the form again.'
+    };
+
+    // form element -> { readyAt, schema, challenge (promise), fingerprint }
+    const states = new WeakMap();
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    /* ---------- SHA-256 ---------- */
+
+    // Plain JS so it also works on http:// pages, where crypto.subtle is unavailable
+    const K = [
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ];
+
+    function sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        const length = ((bytes.length + 9 + 63) >> 6) << 6;
+        const data = new Uint8Array(length);
+        data.set(bytes);
+        data[bytes.length] = 0x80;
+        const view = new DataView(data.buffer);
+        view.setUint32(length - 4, bytes.length * 8);
+
+        const hash = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = hash;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                hash[i] = (hash[i] + value) | 0;
+            });
+        }
+
+        return hash.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
+    }
+
+    /* ---------- Proof of work ---------- */
+
+    function leadingZeroBits(hex) {
+        let bits = 0;
+        for (const ch of hex) {
+            const nibble = parseInt(ch, 16);
+            if (nibble === 0) {
+                bits += 4;
+                continue;
+            }
+            return bits + Math.clz32(nibble) - 28;
+        }
+        return bits;
+    }
+
+    /**
+     * Hashcash-style token: "version:bits:form:challenge" plus a nonce such that
+     * sha256("<stamp>:<email>:<nonce>") starts with `bits` zero bits
+     */
+    function solve(schema, email, challenge) {
+        const stamp = [STAMP_VERSION, CONFIG.difficulty, schema || 'form', challenge].join(':');
+        const prefix = `${stamp}:${String(email || '').trim().toLowerCase()}:`;
+
+        for (let nonce = 0; nonce < CONFIG.maxAttempts; nonce++) {
+            if (leadingZeroBits(sha256(prefix + nonce)) >= CONFIG.difficulty) return { stamp, nonce };
+        }
+        return { stamp, nonce: -1 };
+    }
+
+    /**
+     * payload.antiSpam: the solved challenge, or only the empty honeypot without one
+     */
+    function stamp(payload, challenge, schema) {
+        const token = challenge ? solve(schema, payload.email, challenge) : {};
+        return { ...token, [CONFIG.honeypot]: '' };
+    }
+
+    /* ---------- Sent log ---------- */
+
+    function readLog(now) {
+        const keepMs = Math.max(CONFIG.windowMinutes * 60000, CONFIG.duplicateHours * 3600000);
+        try {
+            const log = JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+            return log.filter(entry => now - entry.at < keepMs);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function writeLog(log) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(log));
+        } catch (error) {
+            // Storage blocked: the server still throttles
+        }
+    }
+
+    /**
+     * Short hash of what the visitor typed; attached extras (estimate, attribution) don't count
+     */
+    function fingerprint(payload) {
+        const text = Object.keys(payload).sort()
+            .filter(key => typeof payload[key] === 'string')
+            .map(key => `${key}=${payload[key].trim().toLowerCase()}`)
+            .join('\n');
+        return sha256(text).slice(0, 16);
+    }
+
+    /* ---------- Server challenge ---------- */
+
+    /**
+     * Resolves to a fresh challenge, or null when there is no challenge endpoint or it failed
+     */
+    function fetchChallenge() {
+        const url = window.SiteConfig.endpoints.challenge;
+        if (!url) return Promise.resolve(null);
+        return fetch(url, { cache: 'no-store' })
+            .then(response => (response.ok ? response.json() : null))
+            .then(data => (data && data.challenge) || null)
+            .catch(() => null);
+    }
+
+    /* ---------- Forms ---------- */
+
+    function addHoneypot(form) {
+        if (form.elements[CONFIG.honeypot]) return;
+
+        const trap = document.createElement('div');
+        trap.className = 'form-trap';
+        trap.setAttribute('aria-hidden', 'true');
+        trap.innerHTML = `<label>Leave this field empty <input type="text" name="${CONFIG.honeypot}" tabindex="-1" autocomplete="off"></label>`;
+        form.appendChild(trap);
+    }
+
+    function stateFor(form) {
+        if (!states.has(form)) {
+            // Bound before this script ran: count from page load
+            states.set(form, {
+                readyAt: Math.round(performance.timeOrigin || Date.now() - performance.now()),
+                schema: null,
+                challenge: fetchChallenge()
+            });
+        }
+        return states.get(form);
+    }
+
+    async function guard(payload, form) {
+        const state = stateFor(form);
+        const now = Date.now();
+
+        const trap = form.elements[CONFIG.honeypot];
+        if (trap && trap.value) return { reason: 'spam' };
+
+        if (now - state.readyAt < CONFIG.minSeconds * 1000) return { reason: 'tooFast' };
+
+        const log = readLog(now);
+        const recent = log.filter(entry => now - entry.at < CONFIG.windowMinutes * 60000);
+        if (recent.length >= CONFIG.maxSubmissions) return { reason: 'throttled' };
+
+        state.fingerprint = fingerprint(payload);
+        if (log.some(entry => entry.fp === state.fingerprint)) return { reason: 'duplicate' };
+
+        // A challenge that failed to load (e.g. offline when the form appeared) gets one more try
+        let challenge = await state.challenge;
+        if (!challenge) {
+            state.challenge = fetchChallenge();
+            challenge = await state.challenge;
+        }
+
+        // Let "Sending…" paint before the hashing loop
+        await new Promise(resolve => setTimeout(resolve, 0));
+        payload.antiSpam = stamp(payload, challenge, state.schema);
+        return null;
+    }
+
+    const messages = Object.keys(MESSAGES).reduce((found, reason) => {
+        found[reason] = () => t(`spam.${reason}`, MESSAGES[reason], { phone: window.SiteConfig.contact.phoneDisplay });
+        return found;
+    }, {});
+
+    document.addEventListener('leadform:bound', event => {
+        addHoneypot(event.target);
+        states.set(event.target, { readyAt: Date.now(), schema: event.detail.schema, challenge: fetchChallenge() });
+    });
+
+    document.addEventListener('leadform:success', event => {
+        const state = states.get(event.target);
+        if (!state || !state.fingerprint) return;
+        const now = Date.now();
+        writeLog(readLog(now).concat({ at: now, fp: state.fingerprint }));
+        // The visitor may send another (different) request from the same form; a stamp is used once
+        state.readyAt = now;
+        state.challenge = fetchChallenge();
+    });
+
+    window.FormEngine.addSubmitGuard(guard, messages);
+    if (window.LeadQueue) window.LeadQueue.setStamper(stamp);
+
+    // Expose for other modules
+    window.SpamGuard = {
+        CONFIG,
+        sha256,
+        leadingZeroBits,
+        solve
+    };
+})();
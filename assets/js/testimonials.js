@@ -0,0 +1,206 @@
+/**
+ * Client Testimonials
+ * Loads reviews from window.SiteConfig.endpoints.reviews and shows them as a carousel
+ * (rotation, controls and pausing come from slider.js) with an aggregate star rating
+ *
+ * Markup: <section data-testimonials data-testimonials-city="Pune" hidden>
+ *             ... <div data-testimonials-body></div>
+ *         </section>
+ * data-testimonials-city keeps reviews from that city or on a route to/from it.
+ * The section stays hidden when there is nothing to show.
+ *
+ * Feed: { "sample": false, "reviews": [{ name, city, route: { from, to }, rating, text, date, photo }] }
+ * Review/AggregateRating JSON-LD is added to the page's business entity, except for sample feeds.
+ * Requires config.js and slider.js; remote review photos also need marketing consent (consent.js).
+ * Uses animations.js, when loaded, to animate the carousel in.
+ */
+
+(function() {
+    'use strict';
+
+    const DEFAULT_LIMIT = 10;
+
+    const dateFormat = new Intl.DateTimeFormat('en-IN', { month: 'short', year: 'numeric' });
+
+    const escapeHtml = text => String(text == null ? '' : text).replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+    const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+    let feed = null;
+
+    /**
+     * Fetch the review feed once per page
+     */
+    function loadFeed() {
+        if (!feed) {
+            feed = fetch(window.SiteConfig.endpoints.reviews, { headers: { Accept: 'application/json' } })
+                .then(response => {
+                    if (!response.ok) throw new Error(`Reviews request failed with ${response.status}`);
+                    return response.json();
+                })
+                .then(data => ({
+                    sample: Boolean(data.sample),
+                    reviews: (data.reviews || []).filter(review => review.name && review.text && review.rating >= 1 && review.rating <= 5)
+                }));
+        }
+        return feed;
+    }
+
+    function selectReviews(reviews, city, limit) {
+        return reviews
+            .filter(review => !city || same(review.city, city) || (review.route && (same(review.route.from, city) || same(review.route.to, city))))
+            .sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')))
+            .slice(0, limit);
+    }
+
+    function average(reviews) {
+        return reviews.reduce((sum, review) => sum + Number(review.rating), 0) / reviews.length;
+    }
+
+    /* ---------- Rendering ---------- */
+
+    function stars(rating, label) {
+        return `<span class="review-stars" style="--rating: ${rating}" role="img" aria-label="${escapeHtml(label)}">★★★★★</span>`;
+    }
+
+    // Photos hosted elsewhere are third-party content; initials stand in until that is allowed
+    const photoAllowed = photo => !/^(https?:)?\/\//.test(photo) || (window.Consent && window.Consent.has('marketing'));
+
+    function avatar(review) {
+        if (review.photo && photoAllowed(review.photo)) {
+            return `<img class="review-avatar" src="${escapeHtml(review.photo)}" alt="" loading="lazy" width="56" height="56">`;
+        }
+        const initials = review.name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+        return `<span class="review-avatar" aria-hidden="true">${escapeHtml(initials)}</span>`;
+    }
+
+    function renderReview(review) {
+        const date = review.date ? new Date(review.date) : null;
+        const route = review.route && review.route.from && review.route.to ? `${review.route.from} → ${review.route.to}` : '';
+        const place = route || review.city;
+
+        return `
+            <figure class="review-card">
+                ${stars(review.rating, `Rated ${review.rating} out of 5`)}
+                <blockquote class="review-text"><p>${escapeHtml(review.text)}</p></blockquote>
+                <figcaption class="review-author">
+                    ${avatar(review)}
+                    <span class="review-meta">
+                        <strong>${escapeHtml(review.name)}</strong>
+                        ${place ? `<span>${escapeHtml(place)}</span>` : ''}
+                        ${date && !isNaN(date) ? `<time datetime="${escapeHtml(review.date)}">${dateFormat.format(date)}</time>` : ''}
+                    </span>
+                </figcaption>
+            </figure>`;
+    }
+
+    function renderSummary(reviews) {
+        const rating = average(reviews).toFixed(1);
+        const count = `${reviews.length} review${reviews.length === 1 ? '' : 's'}`;
+
+        return `
+            <div class="reviews-summary" data-anim-reveal="fade">
+                ${stars(rating, `Average rating ${rating} out of 5`)}
+                <strong>${rating}</strong>
+                <span>out of 5 · based on ${count}</span>
+            </div>`;
+    }
+
+    /* ---------- Structured data ---------- */
+
+    /**
+     * The business node the page generator put in the head, if any
+     */
+    function findBusiness() {
+        for (const script of document.querySelectorAll('script[type="application/ld+json"]:not([data-reviews-schema])')) {
+            try {
+                const data = JSON.parse(script.textContent);
+                const nodes = data['@graph'] || [data];
+                const business = nodes.find(node => node['@id'] && /(LocalBusiness|MovingCompany)/.test(node['@type']));
+                if (business) return business;
+            } catch (error) {
+                // Not ours to fix; skip it
+            }
+        }
+        return null;
+    }
+
+    function addStructuredData(reviews) {
+        const business = findBusiness();
+        if (!business || document.querySelector('script[data-reviews-schema]')) return;
+
+        const script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.dataset.reviewsSchema = '';
+        script.textContent = JSON.stringify({
+            '@context': 'https://schema.org',
+            '@type': business['@type'],
+            '@id': business['@id'],
+            name: business.name,
+            aggregateRating: {
+                '@type': 'AggregateRating',
+                ratingValue: average(reviews).toFixed(1),
+                reviewCount: reviews.length,
+                bestRating: 5,
+                worstRating: 1
+            },
+            review: reviews.map(review => ({
+                '@type': 'Review',
+                author: { '@type': 'Person', name: review.name },
+                datePublished: review.date,
+                reviewBody: review.text,
+                reviewRating: { '@type': 'Rating', ratingValue: review.rating, bestRating: 5, worstRating: 1 }
+            }))
+        });
+        document.head.appendChild(script);
+    }
+
+    /* ---------- Setup ---------- */
+
+    async function setup(root) {
+        const body = root.querySelector('[data-testimonials-body]') || root;
+        const limit = Number(root.dataset.testimonialsLimit) || DEFAULT_LIMIT;
+
+        let data;
+        try {
+            data = await loadFeed();
+        } catch (error) {
+            root.hidden = true;
+            return;
+        }
+
+        const reviews = selectReviews(data.reviews, root.dataset.testimonialsCity, limit);
+        if (!reviews.length) {
+            root.hidden = true;
+            return;
+        }
+
+        body.innerHTML = `
+            ${renderSummary(reviews)}
+            <div class="reviews-carousel" data-slider data-slider-interval="8000" data-slider-transition="400"
+                 data-slider-label="${escapeHtml(root.dataset.testimonialsLabel || 'Client reviews')}">
+                <div class="reviews-track" data-slider-track>
+                    ${reviews.map(renderReview).join('')}
+                </div>
+            </div>`;
+        root.hidden = false;
+
+        window.HeroSlider.init(body);
+        // Reveal and hover effects for the markup that just arrived
+        if (window.PremiumAnimations) window.PremiumAnimations.refresh(root);
+        if (!data.sample) addStructuredData(reviews);
+    }
+
+    function init() {
+        document.querySelectorAll('[data-testimonials]').forEach(setup);
+    }
+
+    // Expose for other modules
+    window.Testimonials = { init, loadFeed };
+
+    // Initialize when DOM is ready
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -0,0 +1,231 @@
+/**
+ * Consignment Tracking
+ * Looks up a shipment by LR number + mobile number and renders its status timeline
+ *
+ * Endpoint: window.SiteConfig.endpoints.tracking, with {lr} replaced by the consignment number
+ * and ?phone=<10 digits> appended. It should answer 404 for unknown LR numbers and 403 when the
+ * phone doesn't match; static mocks (mock/tracking/*.json) carry phoneLast4 instead.
+ */
+
+(function() {
+    'use strict';
+
+    const STAGES = [
+        { key: 'booked', title: 'Booked' },
+        { key: 'picked-up', title: 'Picked up' },
+        { key: 'in-transit', title: 'In transit' },
+        { key: 'out-for-delivery', title: 'Out for delivery' },
+        { key: 'delivered', title: 'Delivered' }
+    ];
+
+    const LR_PATTERN = /^[A-Z0-9-]{6,20}$/;
+    const PHONE_PATTERN = /^[0-9]{10}$/;
+
+    const MESSAGES = {
+        lr: 'Please enter the LR number from your booking receipt.',
+        phone: 'Please enter the 10-digit mobile number used for the booking.',
+        loading: 'Looking up your shipment…',
+        'not-found': {
+            title: 'We couldn\'t find that consignment',
+            text: 'Please check the LR number on your booking receipt. New bookings can take a few hours to appear.'
+        },
+        'phone-mismatch': {
+            title: 'The mobile number doesn\'t match',
+            text: 'For your privacy we only show shipment details to the mobile number used for the booking.'
+        },
+        'network-error': {
+            title: 'We couldn\'t reach the tracking service',
+            text: 'Please check your connection and try again in a moment.'
+        }
+    };
+
+    const dateFormat = new Intl.DateTimeFormat('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+    const dateTimeFormat = new Intl.DateTimeFormat('en-IN', { day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' });
+
+    const escapeHtml = text => String(text == null ? '' : text).replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+
+    function formatDate(value, format) {
+        const date = new Date(value);
+        return isNaN(date) ? '' : format.format(date);
+    }
+
+    const normalizeLr = value => value.trim().toUpperCase().replace(/\s+/g, '');
+    const normalizePhone = value => value.replace(/\D/g, '').slice(-10);
+
+    /**
+     * Fetch a shipment. Resolves to { state, shipment } where state is
+     * 'found' | 'not-found' | 'phone-mismatch' | 'network-error'
+     */
+    async function lookup(lr, phone) {
+        const base = window.SiteConfig.endpoints.tracking.replace('{lr}', encodeURIComponent(lr));
+        const url = `${base}${base.includes('?') ? '&' : '?'}phone=${encodeURIComponent(phone)}`;
+
+        let response;
+        try {
+            response = await fetch(url, { headers: { Accept: 'application/json' } });
+        } catch (error) {
+            console.error('Error:', error);
+            return { state: 'network-error' };
+        }
+
+        if (response.status === 404) return { state: 'not-found' };
+        if (response.status === 403) return { state: 'phone-mismatch' };
+        if (!response.ok) return { state: 'network-error' };
+
+        let shipment;
+        try {
+            shipment = await response.json();
+        } catch (error) {
+            return { state: 'network-error' };
+        }
+
+        if (shipment.phoneLast4 && !phone.endsWith(shipment.phoneLast4)) {
+            return { state: 'phone-mismatch' };
+        }
+        return { state: 'found', shipment };
+    }
+
+    function renderTimeline(shipment) {
+        const currentIndex = Math.max(0, STAGES.findIndex(stage => stage.key === shipment.status));
+        const events = shipment.events || [];
+
+        return STAGES.map((stage, i) => {
+            // Latest event for this stage (a car can pass several hubs while in transit)
+            const event = events.filter(e => e.status === stage.key).pop();
+            const state = i < currentIndex || shipment.status === 'delivered'
+                ? 'is-complete'
+                : (i === currentIndex ? 'is-current' : 'is-pending');
+            const title = stage.key === 'in-transit' && event && event.hub
+                ? `In transit at ${escapeHtml(event.hub)} hub`
+                : stage.title;
+            const meta = event
+                ? [escapeHtml(event.location), formatDate(event.time, dateTimeFormat)].filter(Boolean).join(' · ')
+                : '';
+
+            return `
+                <li class="tracking-step ${state}"${i === currentIndex ? ' aria-current="step"' : ''}>
+                    <span class="tracking-step-dot" aria-hidden="true"></span>
+                    <div class="tracking-step-body">
+                        <strong>${title}</strong>
+                        ${meta ? `<span>${meta}</span>` : ''}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    function renderShipment(shipment) {
+        const stage = STAGES.find(s => s.key === shipment.status) || STAGES[0];
+        const driver = shipment.driver && shipment.status !== 'delivered'
+            ? `${escapeHtml(shipment.driver.name)} · <a href="tel:${escapeHtml(shipment.driver.phone)}">${escapeHtml(shipment.driver.phone)}</a>`
+            : '';
+
+        const facts = [
+            [shipment.status === 'delivered' ? 'Delivered on' : 'Estimated delivery', formatDate(shipment.eta, dateFormat)],
+            ['Driver', driver],
+            ['Last updated', formatDate(shipment.lastUpdated, dateTimeFormat)]
+        ].filter(fact => fact[1]);
+
+        return `
+            <div class="tracking-card">
+                <div class="tracking-card-head">
+                    <div>
+                        <span class="tracking-label">Consignment</span>
+                        <strong class="tracking-lr">${escapeHtml(shipment.lr)}</strong>
+                    </div>
+                    <span class="tracking-badge status-${escapeHtml(stage.key)}">${stage.title}</span>
+                </div>
+                <p class="tracking-route">${escapeHtml(shipment.from)} → ${escapeHtml(shipment.to)}${shipment.vehicle ? ` · ${escapeHtml(shipment.vehicle)}` : ''}</p>
+                <dl class="tracking-facts">
+                    ${facts.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+                </dl>
+                <ol class="tracking-timeline">
+                    ${renderTimeline(shipment)}
+                </ol>
+            </div>
+        `;
+    }
+
+    function renderMessage(state) {
+        const message = MESSAGES[state];
+        const phone = window.SiteConfig.contact;
+        return `
+            <div class="tracking-message is-error" role="alert">
+                <h3>${message.title}</h3>
+                <p>${message.text}</p>
+                <a href="tel:${phone.phone}" class="btn btn-small">Call ${phone.phoneDisplay}</a>
+            </div>
+        `;
+    }
+
+    function setFieldError(field, message) {
+        const group = field.closest('.form-group');
+        let errorEl = group.querySelector('.field-error');
+        if (!errorEl) {
+            errorEl = document.createElement('span');
+            errorEl.className = 'field-error';
+            errorEl.id = `${field.id}-error`;
+            group.appendChild(errorEl);
+        }
+        errorEl.textContent = message || '';
+        field.classList.toggle('is-invalid', Boolean(message));
+        if (message) {
+            field.setAttribute('aria-invalid', 'true');
+            field.setAttribute('aria-describedby', errorEl.id);
+        } else {
+            field.removeAttribute('aria-invalid');
+        }
+    }
+
+    function init() {
+        const form = document.getElementById('trackForm');
+        const result = document.getElementById('trackResult');
+        if (!form || !result) return;
+
+        const lrInput = form.querySelector('[name="lr"]');
+        const phoneInput = form.querySelector('[name="phone"]');
+        const submit = form.querySelector('[type="submit"]');
+
+        // Links from SMS / booking receipts can carry the LR number: track.html?lr=SPW240118
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('lr')) lrInput.value = normalizeLr(params.get('lr'));
+
+        form.addEventListener('submit', async e => {
+            e.preventDefault();
+
+            const lr = normalizeLr(lrInput.value);
+            const phone = normalizePhone(phoneInput.value);
+            const lrValid = LR_PATTERN.test(lr);
+            const phoneValid = PHONE_PATTERN.test(phone);
+
+            setFieldError(lrInput, lrValid ? null : MESSAGES.lr);
+            setFieldError(phoneInput, phoneValid ? null : MESSAGES.phone);
+            if (!lrValid || !phoneValid) {
+                (lrValid ? phoneInput : lrInput).focus();
+                return;
+            }
+
+            submit.disabled = true;
+            form.setAttribute('aria-busy', 'true');
+            result.innerHTML = `<p class="tracking-loading">${MESSAGES.loading}</p>`;
+
+            const { state, shipment } = await lookup(lr, phone);
+
+            result.innerHTML = state === 'found' ? renderShipment(shipment) : renderMessage(state);
+            submit.disabled = false;
+            form.setAttribute('aria-busy', 'false');
+            result.focus();
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+
+    window.ShipmentTracker = {
+        lookup,
+        STAGES
+    };
+})();
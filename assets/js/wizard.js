@@ -0,0 +1,245 @@
+/**
+ * Booking Wizard
+ * Splits a lead form into steps: each <fieldset class="wizard-step"> is one step
+ * Per-step validation through the form engine, progress indicator, review summary,
+ * and deep-linkable steps via the URL hash (#step-<name>, the fieldset id)
+ *
+ * Requires form-engine.js and main.js (the form must already be bound); uses i18n.js when the
+ * page has it (step titles under "wizard.steps.<id without step->", field labels under "fields")
+ */
+
+(function() {
+    'use strict';
+
+    const MESSAGES = {
+        progress: 'Booking progress',
+        step: 'Step {number}',
+        edit: 'Edit',
+        yes: 'Yes',
+        no: 'No'
+    };
+
+    const escapeHtml = text => String(text).replace(/[&<>"]/g, ch => `&#${ch.charCodeAt(0)};`);
+
+    const t = (key, fallback, params) => (window.I18n
+        ? window.I18n.t(key, fallback, params)
+        : fallback.replace(/\{(\w+)\}/g, (match, name) => (params && params[name] !== undefined ? params[name] : match)));
+
+    function stepTitle(step, i) {
+        const fallback = step.dataset.stepTitle || t('wizard.step', MESSAGES.step, { number: i + 1 });
+        return step.id ? t(`wizard.steps.${step.id.replace(/^step-/, '')}`, fallback) : fallback;
+    }
+
+    const fieldLabel = field => t(`fields.${field.rule.payload || field.name}`, field.rule.label);
+
+    /**
+     * Human-readable value of a field for the review step
+     */
+    function displayValue(form, el) {
+        if (el.type === 'radio') {
+            const checked = form.querySelector(`[name="${el.name}"]:checked`);
+            const label = checked && checked.closest('label');
+            return label ? label.querySelector('span').textContent : '';
+        }
+        if (el.type === 'checkbox') {
+            return el.checked ? t('wizard.yes', MESSAGES.yes) : t('wizard.no', MESSAGES.no);
+        }
+        if (el.tagName === 'SELECT') {
+            return el.value ? el.options[el.selectedIndex].text : '';
+        }
+        // Phone numbers with their country code
+        return window.FormEngine.readValue(form, el).trim();
+    }
+
+    function attach(form) {
+        const controller = window.FormEngine.get(form);
+        const steps = Array.from(form.querySelectorAll('.wizard-step'));
+        if (!controller || steps.length < 2) return;
+
+        const backBtn = form.querySelector('[data-wizard-back]');
+        const nextBtn = form.querySelector('[data-wizard-next]');
+        const submitBtn = form.querySelector('[type="submit"]');
+        const review = form.querySelector('[data-wizard-review]');
+        const last = steps.length - 1;
+        let current = 0;
+
+        form.classList.add('is-wizard');
+
+        // Progress indicator
+        const progress = document.createElement('ol');
+        progress.className = 'wizard-progress';
+        progress.innerHTML = steps.map((step, i) => `
+            <li class="wizard-progress-item">
+                <button type="button" data-step-index="${i}">
+                    <span class="wizard-progress-index">${i + 1}</span>
+                    <span class="wizard-progress-title"></span>
+                </button>
+            </li>
+        `).join('');
+        form.insertBefore(progress, steps[0]);
+
+        function renderProgress() {
+            progress.setAttribute('aria-label', t('wizard.progress', MESSAGES.progress));
+            progress.querySelectorAll('.wizard-progress-title').forEach((title, i) => {
+                title.textContent = stepTitle(steps[i], i);
+            });
+        }
+        renderProgress();
+
+        const fieldsIn = step => controller.fields.filter(field => step.contains(field.el));
+
+        function stepOf(name) {
+            const field = controller.fields.find(f => f.name === name);
+            return field ? steps.findIndex(step => step.contains(field.el)) : -1;
+        }
+
+        // Index of the step named in the URL hash; -1 (the first step) when none or malformed ("#%E0")
+        function stepFromHash() {
+            let id;
+            try {
+                id = decodeURIComponent(window.location.hash.slice(1));
+            } catch (error) {
+                return -1;
+            }
+            return steps.findIndex(step => step.id === id);
+        }
+
+        function renderReview() {
+            if (!review) return;
+
+            review.innerHTML = steps.slice(0, last).map((step, i) => `
+                <div class="wizard-review-group">
+                    <div class="wizard-review-head">
+                        <h4>${escapeHtml(stepTitle(step, i))}</h4>
+                        <button type="button" class="wizard-edit" data-step-index="${i}">${escapeHtml(t('wizard.edit', MESSAGES.edit))}</button>
+                    </div>
+                    <dl>
+                        ${fieldsIn(step).map(field => `
+                            <dt>${escapeHtml(fieldLabel(field))}</dt>
+                            <dd>${escapeHtml(displayValue(form, field.el) || '—')}</dd>
+                        `).join('')}
+                    </dl>
+                </div>
+            `).join('');
+        }
+
+        /**
+         * Show a step; `push` records it in history, `focus` moves focus into it
+         */
+        function show(index, { push = true, focus = false } = {}) {
+            current = Math.max(0, Math.min(index, last));
+
+            steps.forEach((step, i) => {
+                step.hidden = i !== current;
+            });
+
+            progress.querySelectorAll('.wizard-progress-item').forEach((item, i) => {
+                item.classList.toggle('is-current', i === current);
+                item.classList.toggle('is-complete', i < current);
+                if (i === current) {
+                    item.setAttribute('aria-current', 'step');
+                } else {
+                    item.removeAttribute('aria-current');
+                }
+            });
+
+            if (backBtn) backBtn.hidden = current === 0;
+            if (nextBtn) nextBtn.hidden = current === last;
+            submitBtn.hidden = current !== last;
+
+            if (current === last) renderReview();
+
+            const hash = `#${steps[current].id}`;
+            if (push && window.location.hash !== hash) {
+                try {
+                    window.history.pushState({ wizardStep: current }, '', hash);
+                } catch (error) {
+                    // pushState is refused on some file:// previews; a plain hash change still works
+                    window.location.hash = hash;
+                }
+            }
+
+            if (focus) {
+                const first = steps[current].querySelector('input, select, textarea, button');
+                if (first) first.focus();
+            }
+        }
+
+        /**
+         * Validate steps from the current one up to (not including) target
+         * Stops on the first step with errors and returns false
+         */
+        function canReach(target) {
+            for (let i = current; i < target; i++) {
+                const invalid = controller.validate(fieldsIn(steps[i]).map(field => field.name));
+                if (invalid) {
+                    show(i);
+                    invalid[0].el.focus();
+                    return false;
+                }
+            }
+            return true;
+        }
+
+        function goTo(index) {
+            if (index <= current || canReach(index)) {
+                show(index, { focus: true });
+            }
+        }
+
+        if (backBtn) backBtn.addEventListener('click', () => goTo(current - 1));
+        if (nextBtn) nextBtn.addEventListener('click', () => goTo(current + 1));
+
+        form.addEventListener('click', e => {
+            const target = e.target.closest('[data-step-index]');
+            if (target) goTo(Number(target.dataset.stepIndex));
+        });
+
+        // Enter inside an earlier step advances instead of submitting
+        form.addEventListener('leadform:beforesubmit', e => {
+            if (current !== last) {
+                e.preventDefault();
+                goTo(current + 1);
+            }
+        });
+
+        // A deep link can skip steps; send the user back to the first invalid field
+        form.addEventListener('leadform:invalid', e => {
+            const index = stepOf(e.detail.fields[0]);
+            if (index !== -1 && index !== current) {
+                show(index);
+                controller.fields.find(f => f.name === e.detail.fields[0]).el.focus();
+            }
+        });
+
+        // The form is reset either way; a queued lead sent later leaves the current step alone
+        form.addEventListener('leadform:success', e => {
+            if (!e.detail.queued) show(0);
+        });
+        form.addEventListener('leadform:queued', () => show(0));
+
+        document.addEventListener('i18n:change', () => {
+            renderProgress();
+            if (current === last) renderReview();
+        });
+
+        window.addEventListener('popstate', () => {
+            const index = stepFromHash();
+            show(index === -1 ? 0 : index, { push: false });
+        });
+
+        const initial = stepFromHash();
+        show(initial === -1 ? 0 : initial, { push: false });
+    }
+
+    function init() {
+        if (!window.FormEngine) return;
+        document.querySelectorAll('form[data-wizard]').forEach(attach);
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
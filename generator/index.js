@@ -0,0 +1,184 @@
+/**
+ * City Page Generator
+ * Builds every car-carrier city landing page from data/cities.json and
+ * generator/templates/city-page.html, and refreshes the marker-delimited
+ * regions that list the cities elsewhere (footers, networks.html, city-data.js)
+ * Every page then gets its canonical link and JSON-LD (see seo.js), and
+ * sitemap.xml/robots.txt are written from the resulting set of pages; last,
+ * the service worker's precache list and version are updated (see precache.js)
+ *
+ * Usage:
+ *   node generator           write the pages
+ *   node generator --check   exit with status 1 if any output is out of date
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const precache = require('./precache');
+const render = require('./render');
+const seo = require('./seo');
+
+const ROOT = path.resolve(__dirname, '..');
+const DATA_FILE = path.join(ROOT, 'data', 'cities.json');
+const SITE_FILE = path.join(ROOT, 'data', 'site.json');
+const TEMPLATE_FILE = path.join(__dirname, 'templates', 'city-page.html');
+const SERVICE_WORKER_FILE = 'sw.js';
+
+// Hand-written pages whose header menus and footer list the services and locations
+const SITE_PAGES = ['index.html', 'about.html', 'services.html', 'networks.html', 'inquiry.html', 'track.html', 'contact.html'];
+
+const NOTICE = '<!-- Generated from data/cities.json by `node generator`; edit the data or generator/templates, not this file -->';
+
+/**
+ * Fill {{ escaped }} and {{{ raw }}} placeholders
+ */
+function fill(template, values) {
+    return template.replace(/\{\{(\{)?\s*(\w+)\s*\}?\}\}/g, (match, raw, key) => {
+        if (!(key in values)) throw new Error(`Template placeholder "${key}" has no value`);
+        return raw ? values[key] : render.escapeHtml(values[key]);
+    });
+}
+
+/**
+ * Replace the lines between BEGIN/END GENERATED markers; the block is
+ * indented to match the BEGIN marker
+ */
+function replaceRegion(source, name, build, file) {
+    const match = findRegion(source, name);
+    if (!match) throw new Error(`${file}: no "${name}" generated region`);
+
+    const [block, pad, begin, end] = match;
+    return source.replace(block, () => `${pad}${begin}\n${build(pad.length)}\n${end}`);
+}
+
+function findRegion(source, name) {
+    const pattern = new RegExp(`^([ \\t]*)(.*BEGIN GENERATED: ${name}\\b.*)\\n[\\s\\S]*?^([ \\t]*.*END GENERATED: ${name}\\b.*)$`, 'm');
+    return source.match(pattern);
+}
+
+/**
+ * Add the canonical link and JSON-LD to every page and build the sitemap;
+ * returns the pages that break the unique title/description/canonical rule
+ */
+function addSearchMetadata(outputs, data, site) {
+    const files = fs.readdirSync(ROOT).filter(file => file.endsWith('.html'));
+    const problems = [];
+
+    const pages = files.sort().map(file => {
+        const html = outputs.get(file) || fs.readFileSync(path.join(ROOT, file), 'utf8');
+        const page = seo.readPage(file, html);
+
+        if (findRegion(html, 'seo')) {
+            outputs.set(file, replaceRegion(html, 'seo', spaces => seo.renderHead(site, page, data, spaces), file));
+        } else if (!page.noindex) {
+            problems.push(`${file}: no "seo" generated region in <head>`);
+        }
+        return page;
+    });
+
+    outputs.set('sitemap.xml', seo.renderSitemap(site, pages));
+    outputs.set('robots.txt', seo.renderRobots(site, pages));
+
+    return problems.concat(seo.validatePages(site, pages));
+}
+
+function buildOutputs(data, site) {
+    const template = fs.readFileSync(TEMPLATE_FILE, 'utf8');
+    const bySlug = new Map(data.cities.map(city => [city.slug, city]));
+    const outputs = new Map();
+
+    data.cities.forEach(city => {
+        const page = fill(template, {
+            title: `${render.heading(city)} | Shree Packways`,
+            metaDescription: city.metaDescription,
+            heading: render.heading(city),
+            breadcrumb: render.renderBreadcrumb(city, bySlug),
+            content: render.renderContent(city, bySlug),
+            address: city.address,
+            city: city.label || city.name,
+            services: render.renderServices(city),
+            navServices: render.renderNavServices(site, 24),
+            navLocations: render.renderNavLocations(data, bySlug, 24),
+            footerLocations: render.renderFooterLocations(data, bySlug, 20)
+        }).replace(/^<!DOCTYPE html>\n/i, match => `${match}${NOTICE}\n`);
+
+        outputs.set(render.pageFile(city), page);
+    });
+
+    const regionTargets = [
+        ...SITE_PAGES.flatMap(file => [
+            [file, 'nav-services', spaces => render.renderNavServices(site, spaces)],
+            [file, 'nav-locations', spaces => render.renderNavLocations(data, bySlug, spaces)],
+            [file, 'footer-locations', spaces => render.renderFooterLocations(data, bySlug, spaces)]
+        ]),
+        ['networks.html', 'network-regions', spaces => render.renderNetworkRegions(data, spaces)],
+        ['networks.html', 'network-map', spaces => render.renderNetworkMap(data, bySlug, spaces)],
+        ['offline.html', 'offline-cities', spaces => render.renderFooterLocations(data, bySlug, spaces)],
+        [path.join('assets', 'js', 'city-data.js'), 'cities', spaces => render.renderCityTable(data, spaces)]
+    ];
+
+    regionTargets.forEach(([file, name, build]) => {
+        const current = outputs.get(file) || fs.readFileSync(path.join(ROOT, file), 'utf8');
+        outputs.set(file, replaceRegion(current, name, build, file));
+    });
+
+    const problems = addSearchMetadata(outputs, data, site);
+
+    // Last, so the version covers every other output it lists
+    const files = precache.collect(ROOT, outputs);
+    const worker = fs.readFileSync(path.join(ROOT, SERVICE_WORKER_FILE), 'utf8');
+    outputs.set(SERVICE_WORKER_FILE, replaceRegion(worker, 'precache', spaces => precache.renderPrecache(files, spaces), SERVICE_WORKER_FILE));
+
+    return { outputs, problems };
+}
+
+function main(argv) {
+    const check = argv.includes('--check');
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    const site = JSON.parse(fs.readFileSync(SITE_FILE, 'utf8'));
+
+    const dataProblems = render.validate(data);
+    if (dataProblems.length) {
+        dataProblems.forEach(problem => console.error(`data/cities.json: ${problem}`));
+        return 1;
+    }
+
+    const { outputs, problems } = buildOutputs(data, site);
+    if (problems.length) {
+        problems.forEach(problem => console.error(problem));
+        return 1;
+    }
+    const stale = [];
+
+    outputs.forEach((content, file) => {
+        const target = path.join(ROOT, file);
+        const current = fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+        if (current === content) return;
+
+        stale.push(file);
+        if (!check) fs.writeFileSync(target, content);
+    });
+
+    // Landing pages left behind by cities removed from the data
+    fs.readdirSync(ROOT)
+        .filter(file => /^car-carrier-.+\.html$/.test(file) && !outputs.has(file))
+        .forEach(file => console.warn(`warning: ${file} is not in data/cities.json; delete it or add the city back`));
+
+    if (check) {
+        stale.forEach(file => console.error(`out of date: ${file}`));
+        console.log(stale.length ? `${stale.length} file(s) need regenerating (run \`node generator\`)` : 'All generated files are up to date');
+        return stale.length ? 1 : 0;
+    }
+
+    stale.forEach(file => console.log(`wrote ${file}`));
+    console.log(`${data.cities.length} city pages, ${stale.length} file(s) changed`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { buildOutputs, main };
@@ -0,0 +1,60 @@
+/**
+ * Service Worker Precache
+ * Lists the files sw.js stores on install (shared CSS and scripts, language catalogs, app
+ * icons, the offline page) and derives the cache VERSION from their contents, so any change
+ * to one of them ships as a new worker and the old cache is dropped
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Directories whose files are all precached, with the extensions that count
+const DIRECTORIES = [
+    ['assets/css', '.css'],
+    ['assets/js', '.js'],
+    ['assets/i18n', '.json'],
+    ['assets/img/icons', '.png']
+];
+
+const FILES = ['offline.html', 'manifest.webmanifest', 'assets/img/logo1.webp'];
+
+// The sales dashboard is never cached (see NETWORK_ONLY in sw.js)
+const EXCLUDED = ['assets/css/admin.css', 'assets/js/admin.js'];
+
+/**
+ * Precached files (site-relative, sorted), read from `outputs` where the generator changed them
+ */
+function collect(root, outputs) {
+    const listed = DIRECTORIES.flatMap(([dir, ext]) => fs.readdirSync(path.join(root, dir))
+        .filter(file => file.endsWith(ext))
+        .map(file => `${dir}/${file}`));
+
+    return listed.concat(FILES)
+        .filter(file => !EXCLUDED.includes(file))
+        .sort()
+        .map(file => ({
+            file,
+            content: outputs.get(path.join(...file.split('/'))) || fs.readFileSync(path.join(root, file))
+        }));
+}
+
+/**
+ * The generated block of sw.js: VERSION and the PRECACHE list
+ */
+function renderPrecache(files, spaces) {
+    const hash = crypto.createHash('sha256');
+    files.forEach(({ file, content }) => hash.update(file).update('\0').update(content).update('\0'));
+
+    const pad = ' '.repeat(spaces);
+    return [
+        `const VERSION = '${hash.digest('hex').slice(0, 12)}';`,
+        'const PRECACHE = [',
+        ...files.map(({ file }, i) => `    '${file}'${i < files.length - 1 ? ',' : ''}`),
+        '];'
+    ].map(line => pad + line).join('\n');
+}
+
+module.exports = { collect, renderPrecache };
@@ -0,0 +1,400 @@
+/**
+ * Page Generator Rendering
+ * Turns data/cities.json into HTML/JS fragments: city page bodies, footer location lists,
+ * the networks.html region grids and India map, and the CITIES table in assets/js/city-data.js
+ */
+
+'use strict';
+
+const DEFAULT_IMAGE = 'assets/img/car-carrier-truck.jpg';
+
+const DEFAULT_SERVICES = [
+    'Car Carrier Service',
+    'Car Transportation',
+    'Bike Transportation',
+    'Corporate Relocation',
+    'Insurance Coverage'
+];
+
+const escapeHtml = text => String(text == null ? '' : text).replace(/[&<>"]/g, ch => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;'
+})[ch]);
+
+// "NCR Region" -> "ncrRegion", for translation keys
+const camelCase = text => String(text).toLowerCase().replace(/[^a-z0-9]+([a-z0-9])/g, (match, ch) => ch.toUpperCase()).replace(/[^a-z0-9]/gi, '');
+
+const jsString = text => `'${String(text).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+
+/**
+ * Indent every non-empty line of a block
+ */
+function indent(lines, spaces) {
+    const pad = ' '.repeat(spaces);
+    return lines.map(line => (line ? pad + line : line)).join('\n');
+}
+
+const pageFile = city => city.page || `car-carrier-service-in-${city.slug}.html`;
+const heading = city => `Car Carrier Service in ${city.name}`;
+
+/**
+ * Check the data file before anything is written; returns a list of problems
+ */
+function validate(data) {
+    const problems = [];
+    const slugs = new Set();
+    const regions = new Set(data.regions.map(region => region.name));
+    const required = ['slug', 'name', 'state', 'region', 'address', 'metaDescription', 'intro', 'highlight', 'closing'];
+
+    data.cities.forEach((city, i) => {
+        const where = city.slug || `cities[${i}]`;
+        required.filter(key => !city[key] || (Array.isArray(city[key]) && !city[key].length))
+            .forEach(key => problems.push(`${where}: missing "${key}"`));
+
+        if (slugs.has(city.slug)) problems.push(`${where}: duplicate slug`);
+        slugs.add(city.slug);
+
+        if (!/^[a-z0-9-]+$/.test(city.slug || '')) problems.push(`${where}: slug must be lowercase letters, digits and dashes`);
+        if (!regions.has(city.region)) problems.push(`${where}: unknown region "${city.region}"`);
+        if (!city.parent && (typeof city.lat !== 'number' || typeof city.lng !== 'number')) {
+            problems.push(`${where}: lat/lng are needed for price estimates`);
+        }
+    });
+
+    data.footerGroups.forEach(group => group.cities.forEach(slug => {
+        if (!slugs.has(slug)) problems.push(`footer group "${group.name}": unknown city "${slug}"`);
+    }));
+
+    data.cities.forEach(city => {
+        if (city.parent && !slugs.has(city.parent)) problems.push(`${city.slug}: unknown parent "${city.parent}"`);
+        (city.featuredRoutes || []).forEach(route => {
+            if (!slugs.has(route.to)) problems.push(`${city.slug}: featured route to unknown city "${route.to}"`);
+        });
+        (city.faq || []).forEach((item, i) => {
+            if (!item.question || !item.answer) problems.push(`${city.slug}: faq[${i}] needs a question and an answer`);
+        });
+    });
+
+    return problems;
+}
+
+/* ---------- City page ---------- */
+
+function renderBreadcrumb(city, bySlug) {
+    const parent = city.parent && bySlug.get(city.parent);
+    const trail = [
+        '<a href="index.html" data-i18n="nav.home">Home</a>',
+        '<a href="networks.html" data-i18n="nav.networks">Networks</a>',
+        parent ? `<a href="${pageFile(parent)}">${escapeHtml(parent.name)}</a>` : null,
+        `<span>${escapeHtml(heading(city))}</span>`
+    ].filter(Boolean);
+
+    const lines = [];
+    trail.forEach((item, i) => {
+        if (i > 0) lines.push('<span>›</span>');
+        lines.push(item);
+    });
+    return indent(lines, 16);
+}
+
+function renderContent(city, bySlug) {
+    const paragraph = text => [`<p>${escapeHtml(text)}</p>`, ''];
+    const lines = [
+        `<h2>Car Carrier Services in ${escapeHtml(city.name)}</h2>`,
+        '',
+        `<img src="${escapeHtml(city.image || DEFAULT_IMAGE)}" alt="${escapeHtml(heading(city))}" class="content-image">`,
+        '',
+        ...city.intro.flatMap(paragraph),
+        '<div class="highlight-box">',
+        `    <p>"${escapeHtml(city.highlight)}"</p>`,
+        '</div>',
+        '',
+        ...(city.body || []).flatMap(paragraph)
+    ];
+
+    if (city.localities && city.localities.length) {
+        lines.push(
+            `<h3>${escapeHtml(city.areasTitle || `Service Areas in ${city.name}`)}</h3>`,
+            '<div class="service-areas-grid">',
+            ...city.localities.map(locality => `    <span class="area-tag">${escapeHtml(locality)}</span>`),
+            '</div>',
+            ''
+        );
+    }
+
+    if (city.featuredRoutes && city.featuredRoutes.length) {
+        lines.push(
+            `<h3>Popular Routes from ${escapeHtml(city.name)}</h3>`,
+            '<ul class="route-list">',
+            ...city.featuredRoutes.flatMap(route => {
+                const to = bySlug.get(route.to);
+                return [
+                    '    <li>',
+                    `        <a href="${pageFile(to)}">${escapeHtml(city.name)} → ${escapeHtml(to.name)}</a>`,
+                    route.note ? `        <span>${escapeHtml(route.note)}</span>` : null,
+                    '    </li>'
+                ].filter(Boolean);
+            }),
+            '</ul>',
+            ''
+        );
+    }
+
+    if (city.faq && city.faq.length) {
+        lines.push(
+            '<h3 data-i18n="city.faq">Frequently Asked Questions</h3>',
+            '<div class="faq-list">',
+            ...city.faq.flatMap(item => [
+                '    <details class="faq-item">',
+                `        <summary>${escapeHtml(item.question)}</summary>`,
+                `        <p>${escapeHtml(item.answer)}</p>`,
+                '    </details>'
+            ]),
+            '</div>',
+            ''
+        );
+    }
+
+    // Filled and shown by testimonials.js when there are reviews for the city
+    const reviewCity = city.parent ? bySlug.get(city.parent).name : city.name;
+    lines.push(
+        `<section class="reviews" data-testimonials data-testimonials-city="${escapeHtml(reviewCity)}" data-testimonials-label="Reviews from ${escapeHtml(reviewCity)} customers" hidden>`,
+        `    <h3>What Our ${escapeHtml(reviewCity)} Customers Say</h3>`,
+        '    <div data-testimonials-body></div>',
+        '</section>',
+        '',
+        `<p>${escapeHtml(city.closing)}</p>`
+    );
+    return indent(lines, 16);
+}
+
+function renderServices(city) {
+    return indent((city.services || DEFAULT_SERVICES).map(service => `<div class="service-list-item">${escapeHtml(service)}</div>`), 24);
+}
+
+/* ---------- Shared lists ---------- */
+
+/**
+ * Footer "OUR SERVICE LOCATIONS" groups, in the order each group lists its cities
+ */
+function renderFooterLocations(data, bySlug, spaces) {
+    const lines = data.footerGroups.flatMap(group => [
+        '<div class="location-group">',
+        `    <h4 data-i18n="footer.groups.${camelCase(group.name)}">${escapeHtml(group.name)}</h4>`,
+        '    <ul>',
+        ...group.cities
+            .map(slug => bySlug.get(slug))
+            .map(city => `        <li><a href="${pageFile(city)}">${escapeHtml(city.name)}</a></li>`),
+        '    </ul>',
+        '</div>'
+    ]);
+    return indent(lines, spaces);
+}
+
+/**
+ * Header "Services" submenu: one link per card on services.html
+ */
+function renderNavServices(site, spaces) {
+    return indent(site.services.map(service =>
+        `<li><a href="services.html#${service.id}" data-i18n="services.${camelCase(service.id)}">${escapeHtml(service.name)}</a></li>`), spaces);
+}
+
+/**
+ * Header "Locations" submenu, grouped like the footer list
+ */
+function renderNavLocations(data, bySlug, spaces) {
+    const lines = data.footerGroups.flatMap(group => [
+        '<li class="submenu-group">',
+        `    <span class="submenu-heading" data-i18n="footer.groups.${camelCase(group.name)}">${escapeHtml(group.name)}</span>`,
+        '    <ul>',
+        ...group.cities
+            .map(slug => bySlug.get(slug))
+            .map(city => `        <li><a href="${pageFile(city)}">${escapeHtml(city.name)}</a></li>`),
+        '    </ul>',
+        '</li>'
+    ]);
+    return indent(lines, spaces);
+}
+
+/**
+ * networks.html city grids, one block per region; each card carries the names the
+ * city filter (assets/js/network-filter.js) matches besides the visible one
+ */
+function renderNetworkRegions(data, spaces) {
+    const searchAttributes = city => [
+        ['data-aliases', city.aliases],
+        ['data-localities', city.localities]
+    ].filter(([, list]) => list && list.length)
+        .map(([name, list]) => ` ${name}="${escapeHtml(list.join('|'))}"`)
+        .join('');
+
+    const blocks = data.regions.map(region => [
+        `<!-- ${region.name} -->`,
+        `<div class="network-region" data-region="${escapeHtml(region.name)}">`,
+        '    <h3 class="region-title">',
+        `        <span class="region-icon">${region.icon}</span>`,
+        `        ${escapeHtml(region.name)}`,
+        '    </h3>',
+        '    <div class="cities-grid">',
+        ...data.cities.filter(city => city.region === region.name).flatMap(city => [
+            `        <a href="${pageFile(city)}" class="city-card${city.featured ? ' featured' : ''}" data-city="${city.slug}"${searchAttributes(city)}>`,
+            `            <span class="city-name">${escapeHtml(city.label || city.name)}</span>`,
+            '            <span class="city-arrow">→</span>',
+            '        </a>'
+        ]),
+        '    </div>',
+        '</div>'
+    ]);
+    return indent(blocks.flatMap((block, i) => (i ? [''] : []).concat(block)), spaces);
+}
+
+// Simplified outline of India as [lat, lng] points, clockwise from Kashmir; a backdrop, not a survey
+const INDIA_OUTLINE = [
+    [35.7, 74.6], [35.9, 76.6], [35.5, 77.8], [34.3, 78.8], [32.6, 79.4], [31.3, 78.8],
+    [30.4, 80.9], [28.8, 80.1], [28.1, 82.5], [27.4, 84.0], [26.5, 86.5], [26.4, 88.1],
+    [27.2, 88.1], [28.1, 88.8], [26.9, 89.1], [26.7, 90.3], [26.8, 92.0], [27.8, 91.7],
+    [27.9, 92.5], [29.0, 94.5], [29.4, 96.0], [28.2, 97.3], [27.2, 97.1], [25.9, 95.2],
+    [24.0, 94.2], [23.0, 93.4], [21.9, 92.6], [23.0, 91.7], [24.2, 92.2], [25.1, 92.0],
+    [25.2, 90.0], [25.9, 89.8], [26.2, 88.9], [25.3, 88.4], [24.4, 88.0], [22.6, 89.0],
+    [21.6, 88.9], [21.5, 87.3], [20.3, 86.7], [19.3, 84.9], [17.7, 83.4], [16.5, 82.2],
+    [15.8, 80.9], [15.0, 80.1], [13.1, 80.3], [11.0, 79.9], [10.3, 79.8], [9.3, 79.1],
+    [8.1, 77.5], [8.9, 76.6], [10.0, 76.2], [11.3, 75.7], [12.9, 74.8], [14.8, 74.1],
+    [15.9, 73.5], [17.5, 73.1], [19.0, 72.8], [20.7, 72.9], [22.3, 72.6], [21.1, 72.0],
+    [20.8, 71.0], [21.6, 69.6], [22.3, 69.0], [22.8, 70.2], [23.6, 68.2], [24.3, 68.8],
+    [24.3, 70.8], [24.6, 71.0], [25.7, 70.3], [26.6, 70.0], [27.8, 70.6], [28.0, 71.9],
+    [29.0, 73.1], [30.0, 73.8], [30.9, 74.5], [32.0, 74.8], [32.8, 74.6], [34.0, 73.8]
+];
+
+// Equirectangular projection of the outline's bounding box, shrunk east-west at its mid latitude
+const MAP = { north: 37, west: 67.5, east: 98, south: 7, scale: 18, padding: 10 };
+const MAP_ASPECT = Math.cos(((MAP.north + MAP.south) / 2) * Math.PI / 180);
+
+const round1 = value => Math.round(value * 10) / 10;
+
+function project(lat, lng) {
+    return [
+        round1(MAP.padding + (lng - MAP.west) * MAP.scale * MAP_ASPECT),
+        round1(MAP.padding + (MAP.north - lat) * MAP.scale)
+    ];
+}
+
+/**
+ * Featured routes as unique city pairs; a note on either direction (e.g. "Same-day express") is kept
+ */
+function networkRoutes(data, bySlug) {
+    const routes = new Map();
+    data.cities.filter(city => !city.parent).forEach(city => (city.featuredRoutes || []).forEach(route => {
+        const to = bySlug.get(route.to);
+        if (!to || to.parent) return;
+        const pair = [city.slug, to.slug].sort();
+        const key = pair.join(' ');
+        const existing = routes.get(key) || { cities: pair, note: '' };
+        existing.note = existing.note || route.note || '';
+        routes.set(key, existing);
+    }));
+    return [...routes.values()];
+}
+
+/**
+ * networks.html India map: outline, featured routes as gently curved lines and a link per city
+ * (hubs are the featured cities); assets/js/network-map.js adds the transit-time card
+ */
+function renderNetworkMap(data, bySlug, spaces) {
+    const width = Math.round(MAP.padding * 2 + (MAP.east - MAP.west) * MAP.scale * MAP_ASPECT);
+    const height = Math.round(MAP.padding * 2 + (MAP.north - MAP.south) * MAP.scale);
+    const outline = INDIA_OUTLINE.map(([lat, lng], i) => `${i ? 'L' : 'M'}${project(lat, lng).join(' ')}`).join(' ');
+    const cities = data.cities.filter(city => !city.parent);
+    const point = slug => project(bySlug.get(slug).lat, bySlug.get(slug).lng);
+
+    const routes = networkRoutes(data, bySlug).map(route => {
+        const [[x1, y1], [x2, y2]] = route.cities.map(point);
+        // Control point off to one side of the midpoint, so overlapping routes stay apart
+        const cx = round1((x1 + x2) / 2 - (y2 - y1) * 0.15);
+        const cy = round1((y1 + y2) / 2 + (x2 - x1) * 0.15);
+        const note = route.note ? ` data-note="${escapeHtml(route.note)}"` : '';
+        return `        <path class="map-route${route.note ? ' is-express' : ''}" data-cities="${route.cities.join(' ')}"${note} d="M${x1} ${y1} Q${cx} ${cy} ${x2} ${y2}"/>`;
+    });
+
+    const markers = cities.flatMap(city => {
+        const [x, y] = project(city.lat, city.lng);
+        const name = escapeHtml(city.label || city.name);
+        const routesTo = (city.featuredRoutes || []).map(route => route.to).filter(slug => !bySlug.get(slug).parent);
+        return [
+            `        <a class="map-city${city.featured ? ' is-hub' : ''}" href="${pageFile(city)}" data-city="${city.slug}" data-name="${name}" data-routes="${routesTo.join(' ')}" aria-label="${name}" transform="translate(${x} ${y})">`,
+            `            <circle r="${city.featured ? 7 : 4.5}"/>`,
+            ...(city.featured ? [`            <text y="-12">${name}</text>`] : []),
+            '        </a>'
+        ];
+    });
+
+    return indent([
+        `<svg class="network-map-svg" viewBox="0 0 ${width} ${height}" role="group" aria-label="Map of the cities we serve" data-i18n-aria-label="networkMap.label">`,
+        `    <path class="map-outline" d="${outline} Z"/>`,
+        '    <g class="map-routes">',
+        ...routes,
+        '    </g>',
+        '    <g class="map-cities">',
+        ...markers,
+        '    </g>',
+        '</svg>'
+    ], spaces);
+}
+
+/**
+ * The CITIES table in city-data.js; area pages (with a parent) add their
+ * localities to the parent city instead of becoming cities of their own
+ */
+function renderCityTable(data, spaces) {
+    const wrap = (items, size) => {
+        const rows = [];
+        for (let i = 0; i < items.length; i += size) rows.push(items.slice(i, i + size));
+        return rows;
+    };
+
+    const entries = data.cities.filter(city => !city.parent).map(city => {
+        const localities = [...new Set([
+            ...(city.localities || []),
+            ...data.cities.filter(area => area.parent === city.slug).flatMap(area => area.localities || [])
+        ])];
+
+        return [
+            '{',
+            `    slug: ${jsString(city.slug)}, name: ${jsString(city.name)}, state: ${jsString(city.state)}, region: ${jsString(city.region)},`,
+            `    lat: ${city.lat.toFixed(4)}, lng: ${city.lng.toFixed(4)},`,
+            `    aliases: [${(city.aliases || []).map(jsString).join(', ')}],`,
+            ...(localities.length
+                ? [
+                    '    localities: [',
+                    ...wrap(localities, 6).map((row, i, rows) => `        ${row.map(jsString).join(', ')}${i < rows.length - 1 ? ',' : ''}`),
+                    '    ]'
+                ]
+                : ['    localities: []']),
+            '}'
+        ];
+    });
+
+    const lines = [
+        'const CITIES = [',
+        ...entries.flatMap((entry, i) => entry.map((line, j) => `    ${line}${j === entry.length - 1 && i < entries.length - 1 ? ',' : ''}`)),
+        '];'
+    ];
+    return indent(lines, spaces);
+}
+
+module.exports = {
+    validate,
+    pageFile,
+    heading,
+    escapeHtml,
+    renderBreadcrumb,
+    renderContent,
+    renderServices,
+    renderFooterLocations,
+    renderNavServices,
+    renderNavLocations,
+    renderNetworkRegions,
+    renderNetworkMap,
+    renderCityTable
+};
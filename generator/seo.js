@@ -0,0 +1,275 @@
+/**
+ * Search Metadata
+ * Reads the title, description, tel: links, service cards and FAQ markup of each page
+ * and produces its canonical link and schema.org JSON-LD, plus sitemap.xml and robots.txt
+ * The business node (#business) is the same on every page: its telephones come from
+ * data/site.json, and a page linking a number that isn't listed there is reported
+ * Pages marked noindex are left out of everything and disallowed in robots.txt
+ */
+
+'use strict';
+
+const { escapeHtml } = require('./render');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+/**
+ * Plain text of an HTML fragment
+ */
+function textOf(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (match, name) => ENTITIES[name])
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+const titleCase = text => text.toLowerCase().replace(/\b[a-z]/g, ch => ch.toUpperCase());
+
+const attribute = (tag, name) => {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+    return match ? textOf(match[1]) : null;
+};
+
+const metaContent = (html, name) => {
+    const tag = (html.match(new RegExp(`<meta[^>]+name\\s*=\\s*"${name}"[^>]*>`, 'i')) || [])[0];
+    return tag ? attribute(tag, 'content') : null;
+};
+
+/**
+ * What the rest of this module needs to know about one page
+ */
+function readPage(file, html) {
+    const title = (html.match(/<title>([\s\S]*?)<\/title>/i) || [])[1];
+    const robots = metaContent(html, 'robots') || '';
+
+    // Numbers filled in by a script (href="tel:") have nothing to check
+    const telephones = [...new Set((html.match(/href="tel:[^"]+"/g) || []).map(link => link.slice(10, -1)))];
+
+    const services = [...html.matchAll(/<article class="service-card-new">([\s\S]*?)<\/article>/g)].map(([, card]) => ({
+        name: titleCase(textOf((card.match(/<h3>([\s\S]*?)<\/h3>/) || [])[1] || '')),
+        description: textOf((card.match(/<p>([\s\S]*?)<\/p>/) || [])[1] || '')
+    }));
+
+    const faq = [...html.matchAll(/<details class="faq-item">\s*<summary>([\s\S]*?)<\/summary>([\s\S]*?)<\/details>/g)].map(([, question, answer]) => ({
+        question: textOf(question),
+        answer: textOf(answer)
+    }));
+
+    return {
+        file,
+        title: title ? textOf(title) : null,
+        description: metaContent(html, 'description'),
+        noindex: /noindex/i.test(robots),
+        telephones,
+        services,
+        faq
+    };
+}
+
+const absolute = (site, file) => `${site.origin}/${file === 'index.html' ? '' : file}`;
+
+function businessNode(site, cities) {
+    return {
+        '@type': 'MovingCompany',
+        '@id': `${site.origin}/#business`,
+        name: site.name,
+        alternateName: site.alternateName,
+        url: `${site.origin}/`,
+        logo: absolute(site, site.logo),
+        image: absolute(site, site.image),
+        email: site.email,
+        telephone: site.telephone,
+        priceRange: site.priceRange,
+        openingHours: site.openingHours,
+        address: { '@type': 'PostalAddress', ...site.address },
+        areaServed: cities.map(city => ({ '@type': 'City', name: city.name })),
+        contactPoint: site.contactPoints.map(number => ({
+            '@type': 'ContactPoint',
+            telephone: number,
+            contactType: 'customer service',
+            areaServed: 'IN'
+        }))
+    };
+}
+
+/**
+ * Service for a city landing page; area pages are served from their parent city
+ */
+function cityServiceNode(site, page, city, parent) {
+    const place = parent || city;
+    const url = absolute(site, page.file);
+
+    return {
+        '@type': 'Service',
+        '@id': `${url}#service`,
+        name: `Car Carrier Service in ${city.name}`,
+        serviceType: 'Car carrier service',
+        description: page.description,
+        url,
+        provider: { '@id': `${site.origin}/#business` },
+        areaServed: [
+            {
+                '@type': 'City',
+                name: place.name,
+                containedInPlace: { '@type': 'State', name: place.state }
+            },
+            ...(city.localities || []).map(locality => ({
+                '@type': 'Place',
+                name: `${locality}, ${place.name}`
+            }))
+        ]
+    };
+}
+
+/**
+ * JSON-LD graph for one page
+ */
+function buildStructuredData(site, page, data) {
+    const bySlug = new Map(data.cities.map(city => [city.slug, city]));
+    const city = data.cities.find(entry => (entry.page || `car-carrier-service-in-${entry.slug}.html`) === page.file);
+    const graph = [businessNode(site, data.cities.filter(entry => !entry.parent))];
+
+    if (city) graph.push(cityServiceNode(site, page, city, city.parent && bySlug.get(city.parent)));
+
+    page.services.forEach(service => graph.push({
+        '@type': 'Service',
+        name: service.name,
+        description: service.description,
+        provider: { '@id': `${site.origin}/#business` },
+        areaServed: { '@type': 'Country', name: 'India' }
+    }));
+
+    if (page.faq.length) {
+        graph.push({
+            '@type': 'FAQPage',
+            '@id': `${absolute(site, page.file)}#faq`,
+            mainEntity: page.faq.map(item => ({
+                '@type': 'Question',
+                name: item.question,
+                acceptedAnswer: { '@type': 'Answer', text: item.answer }
+            }))
+        });
+    }
+
+    return { '@context': 'https://schema.org', '@graph': graph };
+}
+
+/**
+ * JSON.stringify with 4-space indentation, except that objects holding only
+ * plain values (places, contact points, ...) stay on one line
+ */
+function formatJson(value, depth = 0) {
+    const pad = ' '.repeat(4 * depth);
+    const inner = ' '.repeat(4 * (depth + 1));
+    const isLeaf = item => item === null || typeof item !== 'object';
+
+    if (isLeaf(value)) return JSON.stringify(value);
+
+    if (Array.isArray(value)) {
+        return `[\n${value.map(item => inner + formatJson(item, depth + 1)).join(',\n')}\n${pad}]`;
+    }
+
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.every(([, item]) => isLeaf(item))) {
+        return `{ ${entries.map(([key, item]) => `${JSON.stringify(key)}: ${JSON.stringify(item)}`).join(', ')} }`;
+    }
+    return `{\n${entries.map(([key, item]) => `${inner}${JSON.stringify(key)}: ${formatJson(item, depth + 1)}`).join(',\n')}\n${pad}}`;
+}
+
+/**
+ * hreflang alternates: the first of site.languages is the page as written, the others are
+ * the same page switched over by assets/js/i18n.js with ?lang=
+ */
+function alternateLinks(site, page) {
+    const [defaultLanguage, ...others] = site.languages || [];
+    if (!defaultLanguage) return [];
+
+    const url = absolute(site, page.file);
+    return [
+        { hreflang: defaultLanguage, href: url },
+        ...others.map(lang => ({ hreflang: lang, href: `${url}?lang=${lang}` })),
+        { hreflang: 'x-default', href: url }
+    ].map(link => `<link rel="alternate" hreflang="${link.hreflang}" href="${escapeHtml(link.href)}">`);
+}
+
+/**
+ * Contents of a page's generated "seo" head region
+ */
+function renderHead(site, page, data, spaces) {
+    const pad = ' '.repeat(spaces);
+    // "<" is escaped so page text can never close the script element
+    const json = formatJson(buildStructuredData(site, page, data)).replace(/</g, '\\u003c');
+
+    return [
+        `${pad}<link rel="canonical" href="${escapeHtml(absolute(site, page.file))}">`,
+        ...alternateLinks(site, page).map(link => pad + link),
+        `${pad}<script type="application/ld+json">`,
+        ...json.split('\n').map(line => pad + line),
+        `${pad}</script>`
+    ].join('\n');
+}
+
+/**
+ * Every indexable page needs its own title, description and canonical URL, and may only
+ * link the telephones the business node lists
+ */
+function validatePages(site, pages) {
+    const problems = [];
+    const seen = { title: new Map(), description: new Map(), canonical: new Map() };
+
+    pages.filter(page => !page.noindex).forEach(page => {
+        const values = { title: page.title, description: page.description, canonical: absolute(site, page.file) };
+
+        Object.keys(values).forEach(key => {
+            if (!values[key]) {
+                problems.push(`${page.file}: missing ${key === 'description' ? 'meta description' : key}`);
+                return;
+            }
+            const other = seen[key].get(values[key]);
+            if (other) problems.push(`${page.file}: same ${key === 'description' ? 'meta description' : key} as ${other}`);
+            else seen[key].set(values[key], page.file);
+        });
+
+        page.telephones
+            .filter(number => !site.contactPoints.includes(number))
+            .forEach(number => problems.push(`${page.file}: tel:${number} is not in the contactPoints of data/site.json`));
+    });
+
+    return problems;
+}
+
+function renderSitemap(site, pages) {
+    const urls = pages
+        .filter(page => !page.noindex)
+        .map(page => `    <url>\n        <loc>${escapeHtml(absolute(site, page.file))}</loc>\n    </url>`);
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+function renderRobots(site, pages) {
+    const disallow = [...(site.disallow || []), ...pages.filter(page => page.noindex).map(page => `/${page.file}`)];
+
+    return [
+        'User-agent: *',
+        ...disallow.map(path => `Disallow: ${path}`),
+        '',
+        `Sitemap: ${site.origin}/sitemap.xml`,
+        ''
+    ].join('\n');
+}
+
+module.exports = {
+    readPage,
+    buildStructuredData,
+    renderHead,
+    validatePages,
+    renderSitemap,
+    renderRobots
+};
@@ -0,0 +1,227 @@
+/**
+ * Sales Dashboard API
+ * Everything under /api/admin/ — sign-in, the lead list with filters, status changes,
+ * notes and CSV export. Used by admin.html (assets/js/admin.js)
+ *
+ *   POST  /api/admin/login          { user, password }; 429 after repeated failures (auth.js)
+ *   POST  /api/admin/logout
+ *   GET   /api/admin/session
+ *   GET   /api/admin/leads          ?city=&status=&form=&phone=&from=YYYY-MM-DD&to=YYYY-MM-DD
+ *   GET   /api/admin/leads.csv      same filters
+ *   PATCH /api/admin/leads/:id      { status?, note? }
+ */
+
+'use strict';
+
+const { HttpError, readJson, sendJson } = require('./http');
+const { describeAttribution } = require('./leads');
+
+// Sales pipeline, in order; won and lost close a lead
+const STATUSES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+
+const MAX_NOTE_LENGTH = 2000;
+
+const lower = value => String(value || '').toLowerCase();
+
+// Last 10 digits, so +91 98765 43210 and 9876543210 count as the same number
+const phoneKey = value => String(value || '').replace(/\D/g, '').slice(-10);
+
+/**
+ * YYYY-MM-DD in server local time, comparable with the date filter inputs
+ */
+function localDate(iso) {
+    const date = new Date(iso);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function cities(lead) {
+    const route = lead.route || {};
+    return [
+        lead.fields.movingFrom,
+        lead.fields.movingTo,
+        route.from && route.from.city,
+        route.to && route.to.city
+    ].filter(Boolean).map(lower);
+}
+
+function matches(lead, filters) {
+    if (filters.status && (lead.status || 'new') !== filters.status) return false;
+    if (filters.form && lead.form !== filters.form) return false;
+    if (filters.phone && phoneKey(lead.fields.mobile) !== phoneKey(filters.phone)) return false;
+    if (filters.city && !cities(lead).some(city => city.includes(lower(filters.city)))) return false;
+    if (filters.from && localDate(lead.createdAt) < filters.from) return false;
+    if (filters.to && localDate(lead.createdAt) > filters.to) return false;
+    return true;
+}
+
+/**
+ * Filtered leads, newest first, each with the ids of other leads sharing its phone number
+ */
+function listLeads(all, params) {
+    const filters = ['city', 'status', 'form', 'phone', 'from', 'to'].reduce((result, key) => {
+        const value = (params.get(key) || '').trim();
+        if (value) result[key] = value;
+        return result;
+    }, {});
+
+    const byPhone = new Map();
+    all.forEach(lead => {
+        const key = phoneKey(lead.fields.mobile);
+        if (!key) return;
+        if (!byPhone.has(key)) byPhone.set(key, []);
+        byPhone.get(key).push(lead.id);
+    });
+
+    return all
+        .filter(lead => matches(lead, filters))
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+        .map(lead => ({
+            ...lead,
+            status: lead.status || 'new',
+            notes: lead.notes || [],
+            history: lead.history || [],
+            duplicates: (byPhone.get(phoneKey(lead.fields.mobile)) || []).filter(id => id !== lead.id)
+        }));
+}
+
+const CSV_COLUMNS = [
+    ['Received', lead => lead.createdAt],
+    ['Form', lead => lead.form],
+    ['Status', lead => lead.status],
+    ['Name', lead => lead.fields.name],
+    ['Email', lead => lead.fields.email],
+    ['Mobile', lead => lead.fields.mobile],
+    ['From', lead => lead.fields.movingFrom],
+    ['To', lead => lead.fields.movingTo],
+    ['Vehicle', lead => lead.fields.vehicle],
+    ['Estimate', lead => lead.estimate && lead.estimate.priceMin ? `${lead.estimate.priceMin}-${lead.estimate.priceMax}` : ''],
+    ['Message', lead => lead.fields.message],
+    ['Source page', lead => lead.source],
+    ['Came from', lead => describeAttribution(lead.attribution)],
+    ['Duplicates', lead => lead.duplicates.length],
+    ['Notes', lead => lead.notes.map(note => `${note.by}: ${note.text}`).join(' | ')],
+    ['Id', lead => lead.id]
+];
+
+const E164 = /^\+\d{8,15}$/;
+
+function csvCell(value) {
+    let text = value == null ? '' : String(value);
+    // Spreadsheets run cells starting with = + - @ as formulas; an E.164 phone number
+    // ("+919876543210", every Mobile cell) is only digits and stays as it is
+    if (/^[=+\-@]/.test(text) && !E164.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(leads) {
+    const rows = [CSV_COLUMNS.map(([title]) => title)]
+        .concat(leads.map(lead => CSV_COLUMNS.map(([, read]) => read(lead))));
+    // BOM so Excel reads the file as UTF-8
+    return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function createAdminApi({ store, auth, maxBodySize }) {
+    function requireUser(request) {
+        const user = auth.userFor(request);
+        if (!user) throw new HttpError(401, 'Please sign in.');
+        return user;
+    }
+
+    async function login(request, response) {
+        if (!auth.enabled()) {
+            throw new HttpError(503, 'Dashboard logins are not configured (set ADMIN_USERS).');
+        }
+        const body = await readJson(request, maxBodySize);
+        const name = String(body.user || '');
+        const ip = request.socket.remoteAddress;
+
+        const wait = auth.retryAfter(name, ip);
+        if (wait) {
+            response.setHeader('Retry-After', String(wait));
+            const minutes = Math.ceil(wait / 60);
+            throw new HttpError(429, `Too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+        }
+
+        const token = auth.login(name, String(body.password || ''), ip);
+        if (!token) throw new HttpError(401, 'Wrong name or password.');
+
+        response.setHeader('Set-Cookie', auth.cookie(token));
+        sendJson(response, 200, { ok: true, user: String(body.user) });
+    }
+
+    async function updateLead(request, response, id) {
+        const user = requireUser(request);
+        const body = await readJson(request, maxBodySize);
+        const note = typeof body.note === 'string' ? body.note.trim() : '';
+
+        if (body.status !== undefined && !STATUSES.includes(body.status)) {
+            throw new HttpError(422, `Status must be one of: ${STATUSES.join(', ')}.`);
+        }
+        if (note.length > MAX_NOTE_LENGTH) {
+            throw new HttpError(422, `Notes can be at most ${MAX_NOTE_LENGTH} characters.`);
+        }
+
+        const updated = await store.update(list => {
+            const lead = list.find(item => item.id === id);
+            if (!lead) return null;
+
+            const at = new Date().toISOString();
+            if (body.status !== undefined && body.status !== (lead.status || 'new')) {
+                lead.history = (lead.history || []).concat({ at, by: user, from: lead.status || 'new', to: body.status });
+                lead.status = body.status;
+            }
+            if (note) {
+                lead.notes = (lead.notes || []).concat({ at, by: user, text: note });
+            }
+            return lead;
+        });
+
+        if (!updated) throw new HttpError(404, 'Lead not found.');
+
+        const view = listLeads(await store.all(), new URLSearchParams()).find(lead => lead.id === id);
+        sendJson(response, 200, { ok: true, lead: view });
+    }
+
+    /**
+     * Handle a request under /api/admin/
+     */
+    return async function handle(request, response, url) {
+        const route = `${request.method} ${url.pathname.replace(/^\/api\/admin/, '')}`;
+        const leadMatch = url.pathname.match(/^\/api\/admin\/leads\/([\w-]+)$/);
+
+        if (route === 'POST /login') return login(request, response);
+
+        if (route === 'POST /logout') {
+            auth.logout(request);
+            response.setHeader('Set-Cookie', auth.clearCookie());
+            return sendJson(response, 200, { ok: true });
+        }
+
+        if (route === 'GET /session') {
+            return sendJson(response, 200, { ok: true, user: requireUser(request), statuses: STATUSES });
+        }
+
+        if (route === 'GET /leads') {
+            requireUser(request);
+            return sendJson(response, 200, { ok: true, leads: listLeads(await store.all(), url.searchParams) });
+        }
+
+        if (route === 'GET /leads.csv') {
+            requireUser(request);
+            const csv = toCsv(listLeads(await store.all(), url.searchParams));
+            response.writeHead(200, {
+                'Content-Type': 'text/csv; charset=utf-8',
+                'Content-Disposition': `attachment; filename="leads-${localDate(new Date())}.csv"`,
+                'Cache-Control': 'no-store'
+            });
+            return response.end(csv);
+        }
+
+        if (leadMatch && request.method === 'PATCH') return updateLead(request, response, leadMatch[1]);
+
+        throw new HttpError(404, 'Not found.');
+    };
+}
+
+module.exports = { createAdminApi, STATUSES };
@@ -0,0 +1,114 @@
+/**
+ * Dashboard Sessions
+ * Password login for the users in config.admin.users; sessions live in memory
+ * (a server restart signs everyone out) and ride on an HttpOnly, SameSite=Strict cookie.
+ * Failed logins are counted per client address and per user name; either one reaching
+ * maxFailures locks further attempts out for lockoutMinutes, even with the right password.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const COOKIE = 'spw_admin';
+
+// Compare digests so the check takes the same time whatever the password length
+const sameSecret = (a, b) => crypto.timingSafeEqual(
+    crypto.createHash('sha256').update(String(a)).digest(),
+    crypto.createHash('sha256').update(String(b)).digest()
+);
+
+/**
+ * Value of a request cookie, or null when it is missing or malformed ("%E0")
+ */
+function readCookie(request, name) {
+    const header = request.headers.cookie || '';
+    const match = header.split(';').map(part => part.trim().split('=')).find(([key]) => key === name);
+    if (!match) return null;
+    try {
+        return decodeURIComponent(match.slice(1).join('='));
+    } catch (error) {
+        return null;
+    }
+}
+
+function createAuth({ users, sessionHours, maxFailures, failureMinutes, lockoutMinutes }) {
+    const sessions = new Map();
+    const ttl = sessionHours * 60 * 60 * 1000;
+    const failureMs = failureMinutes * 60000;
+    const lockoutMs = lockoutMinutes * 60000;
+
+    // "ip:<address>" / "user:<name>" -> { count, since, lockedUntil }
+    const failures = new Map();
+
+    const enabled = () => Object.keys(users).length > 0;
+
+    const failureKeys = (name, ip) => [`ip:${ip}`, `user:${name}`];
+
+    function prune(now) {
+        for (const [key, entry] of failures) {
+            if (now - entry.since > failureMs && entry.lockedUntil <= now) failures.delete(key);
+        }
+    }
+
+    function fail(name, ip, now) {
+        prune(now);
+        for (const key of failureKeys(name, ip)) {
+            const entry = failures.get(key) || { count: 0, since: now, lockedUntil: 0 };
+            entry.count += 1;
+            if (entry.count >= maxFailures) entry.lockedUntil = now + lockoutMs;
+            failures.set(key, entry);
+        }
+    }
+
+    /**
+     * Seconds until this address and user name may try again, 0 when they may now
+     */
+    function retryAfter(name, ip, now = Date.now()) {
+        const until = Math.max(...failureKeys(name, ip).map(key => (failures.get(key) || { lockedUntil: 0 }).lockedUntil));
+        return until > now ? Math.ceil((until - now) / 1000) : 0;
+    }
+
+    /**
+     * Check a name/password pair from a client address; returns a session token or null
+     */
+    function login(name, password, ip) {
+        const known = Object.prototype.hasOwnProperty.call(users, name);
+        // Still compare for unknown names so they can't be told apart by timing
+        const valid = sameSecret(password, known ? users[name] : crypto.randomUUID()) && known;
+        if (!valid) {
+            fail(name, ip, Date.now());
+            return null;
+        }
+        failureKeys(name, ip).forEach(key => failures.delete(key));
+
+        const token = crypto.randomBytes(32).toString('hex');
+        sessions.set(token, { user: name, expires: Date.now() + ttl });
+        return token;
+    }
+
+    /**
+     * Name of the signed-in user for a request, or null
+     */
+    function userFor(request) {
+        const token = readCookie(request, COOKIE);
+        const session = token && sessions.get(token);
+        if (!session) return null;
+        if (session.expires < Date.now()) {
+            sessions.delete(token);
+            return null;
+        }
+        return session.user;
+    }
+
+    function logout(request) {
+        sessions.delete(readCookie(request, COOKIE));
+    }
+
+    const cookie = token => `${COOKIE}=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(ttl / 1000)}`;
+    const clearCookie = () => `${COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`;
+
+    return { enabled, retryAfter, login, userFor, logout, cookie, clearCookie };
+}
+
+module.exports = { createAuth };
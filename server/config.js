@@ -0,0 +1,76 @@
+/**
+ * Lead Server Configuration
+ * Every setting can be overridden with an environment variable
+ *
+ *   PORT, HOST                       where the server listens (default 127.0.0.1:3000)
+ *   LEADS_FILE                       JSON file the leads are kept in
+ *   EVENTS_FILE                      NDJSON file analytics events are appended to
+ *   MAIL_TRANSPORT                   console | file | smtp (default console)
+ *   MAIL_FROM, MAIL_TO               notification sender / comma-separated recipients
+ *   MAIL_OUTBOX                      directory the file transport writes .eml files to
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ *   ADMIN_USERS                      dashboard logins, "name:password,name:password"
+ *   SPAM_CHECKS                      "off" accepts leads without the spam checks (scripted testing)
+ */
+
+'use strict';
+
+const path = require('path');
+
+const env = process.env;
+const smtpPort = Number(env.SMTP_PORT) || 587;
+
+module.exports = {
+    port: Number(env.PORT) || 3000,
+    host: env.HOST || '127.0.0.1',
+
+    // Site root: the static pages are served straight from the repository
+    root: path.resolve(__dirname, '..'),
+
+    leadsFile: env.LEADS_FILE || path.join(__dirname, 'data', 'leads.json'),
+    eventsFile: env.EVENTS_FILE || path.join(__dirname, 'data', 'events.ndjson'),
+
+    // Largest request body accepted by the API, in bytes
+    maxBodySize: 64 * 1024,
+
+    // Sales dashboard (admin.html); it stays locked until at least one user is configured
+    admin: {
+        users: (env.ADMIN_USERS || '').split(',').reduce((users, pair) => {
+            const split = pair.indexOf(':');
+            if (split > 0) users[pair.slice(0, split).trim()] = pair.slice(split + 1);
+            return users;
+        }, {}),
+        sessionHours: 12,
+        // Failed logins: after maxFailures within failureMinutes from one address, or for one
+        // user name, further attempts get 429 for lockoutMinutes
+        maxFailures: 5,
+        failureMinutes: 15,
+        lockoutMinutes: 15
+    },
+
+    // Lead spam checks (spam.js); difficulty must not exceed spam-guard.js CONFIG.difficulty
+    spam: {
+        enabled: env.SPAM_CHECKS !== 'off',
+        difficulty: 12,
+        minSeconds: 3,
+        maxTokenAgeHours: 24,
+        maxPerClient: 5,
+        windowMinutes: 10,
+        duplicateHours: 24
+    },
+
+    mail: {
+        transport: env.MAIL_TRANSPORT || 'console',
+        from: env.MAIL_FROM || 'Shree Packways Website <no-reply@shreepackways.com>',
+        to: (env.MAIL_TO || 'info@shreepackways.com').split(',').map(address => address.trim()).filter(Boolean),
+        outbox: env.MAIL_OUTBOX || path.join(__dirname, 'data', 'outbox'),
+        smtp: {
+            host: env.SMTP_HOST || 'localhost',
+            port: smtpPort,
+            // Implicit TLS on 465; other ports upgrade with STARTTLS when the server offers it
+            secure: env.SMTP_SECURE ? env.SMTP_SECURE === 'true' : smtpPort === 465,
+            user: env.SMTP_USER || '',
+            pass: env.SMTP_PASS || ''
+        }
+    }
+};
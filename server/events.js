@@ -0,0 +1,83 @@
+/**
+ * Analytics Event Collector
+ * Receives the batches assets/js/analytics.js sends and appends them to a
+ * newline-delimited JSON file (one event per line), ready for jq or a spreadsheet import
+ *
+ *   POST /api/events   { events: [{ name, props, page, lang, time, session }] }
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./http');
+
+const MAX_EVENTS = 50;          // per request
+const MAX_TEXT = 200;           // characters kept of any string value
+const NAME = /^[a-z][a-z0-9_]{0,39}$/;
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const clip = value => (typeof value === 'string' ? value.slice(0, MAX_TEXT) : value);
+
+/**
+ * Flat, size-limited copy of an event's props: strings, numbers, booleans and lists of them
+ */
+function cleanProps(props) {
+    if (!isObject(props)) return {};
+
+    return Object.keys(props).slice(0, 20).reduce((clean, key) => {
+        const value = props[key];
+        if (['string', 'number', 'boolean'].includes(typeof value)) {
+            clean[key] = clip(value);
+        } else if (Array.isArray(value)) {
+            clean[key] = value.filter(item => ['string', 'number'].includes(typeof item)).slice(0, 20).map(clip);
+        }
+        return clean;
+    }, {});
+}
+
+function cleanEvent(event, receivedAt) {
+    if (!isObject(event) || typeof event.name !== 'string' || !NAME.test(event.name)) return null;
+
+    return {
+        name: event.name,
+        props: cleanProps(event.props),
+        page: typeof event.page === 'string' ? clip(event.page) : null,
+        lang: typeof event.lang === 'string' ? event.lang.slice(0, 10) : null,
+        time: typeof event.time === 'string' ? event.time.slice(0, 30) : null,
+        session: typeof event.session === 'string' ? event.session.slice(0, 40) : null,
+        receivedAt
+    };
+}
+
+function createEventCollector(file) {
+    let queue = Promise.resolve();
+
+    /**
+     * Append lines to the file; appends never overlap
+     */
+    function append(lines) {
+        const run = queue.then(async () => {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            await fs.promises.appendFile(file, lines);
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    async function collect(body) {
+        if (!Array.isArray(body.events) || body.events.length > MAX_EVENTS) {
+            throw new HttpError(400, `Expected an events list of at most ${MAX_EVENTS}.`);
+        }
+
+        const receivedAt = new Date().toISOString();
+        const events = body.events.map(event => cleanEvent(event, receivedAt)).filter(Boolean);
+        if (events.length) await append(events.map(event => JSON.stringify(event) + '\n').join(''));
+
+        return { status: 202, body: { ok: true, accepted: events.length } };
+    }
+
+    return { collect };
+}
+
+module.exports = { createEventCollector };
@@ -0,0 +1,64 @@
+/**
+ * HTTP Helpers
+ * JSON request/response handling shared by the API modules
+ */
+
+'use strict';
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+function sendJson(response, status, body) {
+    const json = JSON.stringify(body);
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json),
+        'Cache-Control': 'no-store'
+    });
+    response.end(json);
+}
+
+/**
+ * Read and parse a JSON request body, refusing anything over the size limit
+ */
+function readJson(request, limit) {
+    return new Promise((resolve, reject) => {
+        if (!/^application\/json\b/i.test(request.headers['content-type'] || '')) {
+            reject(new HttpError(415, 'Expected a JSON body.'));
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                reject(new HttpError(413, 'Request body too large.'));
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        request.on('end', () => {
+            try {
+                const body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+                    throw new Error('not an object');
+                }
+                resolve(body);
+            } catch (error) {
+                reject(new HttpError(400, 'Malformed JSON body.'));
+            }
+        });
+
+        request.on('error', reject);
+    });
+}
+
+module.exports = { HttpError, readJson, sendJson };
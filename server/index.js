@@ -0,0 +1,99 @@
+/**
+ * Local Lead Server
+ * Stand-in for the hosted send-email API so the site can run end to end on one machine
+ *
+ *   node server                  -> http://127.0.0.1:3000
+ *   MAIL_TRANSPORT=file node server
+ *
+ * Serves the static pages and accepts the lead forms:
+ *   POST /api/send-email   quote, contact (and wizard) bodies, same contract as the hosted API
+ *   POST /api/inquiry      booking wizard bodies
+ *   GET  /api/challenge    anti-spam challenge for a form just shown, see spam.js
+ *   POST /api/events       analytics events from assets/js/analytics.js, see events.js
+ *   /api/admin/...         sales dashboard (admin.html), see admin.js
+ * Leads are kept in server/data/leads.json, events in server/data/events.ndjson;
+ * see config.js for all settings.
+ * No dependencies beyond Node itself (18+).
+ */
+
+'use strict';
+
+const http = require('http');
+const config = require('./config');
+const { HttpError, readJson, sendJson } = require('./http');
+const { createAdminApi } = require('./admin');
+const { createAuth } = require('./auth');
+const { createEventCollector } = require('./events');
+const { createLeadStore } = require('./lead-store');
+const { createLeadIntake } = require('./leads');
+const { createMailer } = require('./mailer');
+const { createSpamGuard } = require('./spam');
+const { createStaticHandler } = require('./static');
+
+function createServer(options = config) {
+    const store = createLeadStore(options.leadsFile);
+    const mailer = createMailer(options.mail);
+    const spam = options.spam.enabled ? createSpamGuard(options.spam) : null;
+    const intake = createLeadIntake({ store, mailer, spam });
+    const events = createEventCollector(options.eventsFile);
+    const serveStatic = createStaticHandler(options.root);
+    const admin = createAdminApi({ store, auth: createAuth(options.admin), maxBodySize: options.maxBodySize });
+
+    // "METHOD /path" -> handler(body, request) resolving to { status, body }; GET routes get no body
+    const routes = {
+        'GET /api/challenge': () => ({ status: 200, body: { ok: true, challenge: spam ? spam.issue() : null } }),
+        'POST /api/send-email': intake.sendEmail,
+        'POST /api/inquiry': intake.inquiry,
+        'POST /api/events': events.collect
+    };
+
+    async function handle(request, response) {
+        const url = new URL(request.url, 'http://localhost');
+        const route = routes[`${request.method} ${url.pathname}`];
+
+        if (route) {
+            const body = request.method === 'GET' ? null : await readJson(request, options.maxBodySize);
+            const result = await route(body, request);
+            sendJson(response, result.status, result.body);
+            return;
+        }
+
+        if (url.pathname.startsWith('/api/admin/')) {
+            await admin(request, response, url);
+            return;
+        }
+
+        if (url.pathname.startsWith('/api/')) {
+            const known = Object.keys(routes).some(key => key.endsWith(` ${url.pathname}`));
+            throw known ? new HttpError(405, 'Method not allowed.') : new HttpError(404, 'Not found.');
+        }
+
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            throw new HttpError(405, 'Method not allowed.');
+        }
+        await serveStatic(request, response, url);
+    }
+
+    const server = http.createServer((request, response) => {
+        handle(request, response).catch(error => {
+            if (!(error instanceof HttpError)) console.error(error);
+            if (response.headersSent) {
+                response.destroy();
+                return;
+            }
+            sendJson(response, error.status || 500, { ok: false, error: error.status ? error.message : 'Server error.' });
+        });
+    });
+
+    server.store = store;
+    return server;
+}
+
+if (require.main === module) {
+    const server = createServer();
+    server.listen(config.port, config.host, () => {
+        console.log(`Shree Packways site on http://${config.host}:${config.port} (mail: ${config.mail.transport})`);
+    });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,97 @@
+/**
+ * Lead Store
+ * Keeps every accepted lead in a single JSON file (an array of records, oldest first)
+ * Writes are serialized and go through a temp file + rename, so a crash never leaves half a file
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+function createLeadStore(file) {
+    let leads = null;
+    let loading = null;
+    let queue = Promise.resolve();
+
+    async function read() {
+        try {
+            leads = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            leads = [];
+        }
+        return leads;
+    }
+
+    /**
+     * The list, read from disk once; callers arriving during the read share it
+     */
+    function load() {
+        if (!loading) {
+            loading = read().catch(error => {
+                loading = null;
+                throw error;
+            });
+        }
+        return loading;
+    }
+
+    async function persist() {
+        const tmp = `${file}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(leads, null, 2));
+        await fs.promises.rename(tmp, file);
+    }
+
+    /**
+     * Run a change against the loaded list, then write it out; changes never overlap
+     */
+    function update(change) {
+        const run = queue.then(async () => {
+            const result = change(await load());
+            await persist();
+            return result;
+        });
+        queue = run.catch(() => {});
+        return run;
+    }
+
+    function append(list, lead) {
+        const record = {
+            id: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            ...lead
+        };
+        list.push(record);
+        return record;
+    }
+
+    /**
+     * Store a new lead; fills in id and createdAt and returns the stored record
+     */
+    function add(lead) {
+        return update(list => append(list, lead));
+    }
+
+    /**
+     * Store a new lead unless one with the same submissionId is already stored; the lookup and
+     * the insert are one change, so two retries arriving together can't both get in.
+     * Resolves to { record, created }, with the earlier record when it wasn't created
+     */
+    function addUnique(submissionId, lead) {
+        return update(list => {
+            const existing = list.find(item => item.submissionId === submissionId);
+            return existing ? { record: existing, created: false } : { record: append(list, lead), created: true };
+        });
+    }
+
+    async function all() {
+        return (await load()).slice();
+    }
+
+    return { add, addUnique, all, update };
+}
+
+module.exports = { createLeadStore };
@@ -0,0 +1,247 @@
+/**
+ * Lead Intake
+ * Validates a submitted lead with the same schemas and rules the browser uses
+ * (assets/js/form-schemas.js + form-rules.js), runs the spam checks (spam.js),
+ * stores it and sends the notification mail
+ *
+ * A body's idempotencyKey (form-engine.js) is kept as the lead's submissionId: a retry of a
+ * lead already stored (lead-queue.js resending after a dropped connection) gets the same
+ * answer again instead of a second lead.
+ */
+
+'use strict';
+
+const FormSchemas = require('../assets/js/form-schemas');
+const FormRules = require('../assets/js/form-rules');
+
+const TITLES = {
+    quote: 'quote request',
+    inquiry: 'booking inquiry',
+    contact: 'contact message'
+};
+
+// Fields of payload.attribution (assets/js/analytics.js) that are kept with a lead
+const ATTRIBUTION_FIELDS = ['source', 'medium', 'campaign', 'term', 'content', 'gclid', 'fbclid', 'msclkid',
+    'referrer', 'landingPage', 'capturedAt'];
+
+const IDEMPOTENCY_KEY = /^[A-Za-z0-9-]{16,64}$/;
+
+// Bounds of a believable payload.estimate (assets/js/estimator.js); anything outside is dropped
+const ESTIMATE_LIMITS = {
+    distanceKm: [1, 5000],
+    price: [100, 10000000],
+    vehicles: [1, 100],
+    transitDays: [1, 60]
+};
+
+// payload.route (assets/js/autocomplete.js): its ends, and the text fields kept for each
+const ROUTE_ENDS = ['from', 'to'];
+const ROUTE_FIELDS = ['input', 'city', 'state', 'locality', 'match'];
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Which form a /api/send-email body came from: the hosted API receives all three,
+ * so the body shape decides (only the wizard sends a pickup date, only quotes a route)
+ */
+function detectForm(body) {
+    if ('pickupDate' in body || 'carrierType' in body) return 'inquiry';
+    if ('movingFrom' in body || 'movingTo' in body) return 'quote';
+    return 'contact';
+}
+
+/**
+ * Page the lead came from, as a site path (/services.html)
+ */
+function sourcePage(referer) {
+    try {
+        return new URL(referer).pathname;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Known attribution fields of a submission, as short strings; null when there are none
+ */
+function readAttribution(value) {
+    if (!isObject(value)) return null;
+
+    const attribution = ATTRIBUTION_FIELDS.reduce((clean, key) => {
+        if (typeof value[key] === 'string' && value[key]) clean[key] = value[key].slice(0, 200);
+        return clean;
+    }, {});
+    return Object.keys(attribution).length ? attribution : null;
+}
+
+const inRange = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * The price estimate shown with the form, rebuilt from its known fields; null when it is
+ * missing or any figure is not a number within ESTIMATE_LIMITS (a forged or broken estimate
+ * must not reach the staff mail or the dashboard)
+ */
+function readEstimate(value) {
+    if (!isObject(value)) return null;
+
+    const { distanceKm, priceMin, priceMax, vehicles = 1 } = value;
+    const transitDays = isObject(value.transitDays) ? value.transitDays : {};
+    const valid = inRange(distanceKm, ESTIMATE_LIMITS.distanceKm) &&
+        inRange(priceMin, ESTIMATE_LIMITS.price) &&
+        inRange(priceMax, ESTIMATE_LIMITS.price) && priceMin <= priceMax &&
+        Number.isInteger(vehicles) && inRange(vehicles, ESTIMATE_LIMITS.vehicles) &&
+        inRange(transitDays.min, ESTIMATE_LIMITS.transitDays) &&
+        inRange(transitDays.max, ESTIMATE_LIMITS.transitDays) && transitDays.min <= transitDays.max;
+    if (!valid) return null;
+
+    const text = key => (typeof value[key] === 'string' ? value[key].slice(0, 100) : '');
+    return {
+        from: text('from'),
+        to: text('to'),
+        vehicle: text('vehicle'),
+        vehicles,
+        distanceKm: Math.round(distanceKm),
+        priceMin,
+        priceMax,
+        transitDays: { min: transitDays.min, max: transitDays.max },
+        currency: 'INR'
+    };
+}
+
+/**
+ * The from/to cities matched while typing, rebuilt from their known text fields (at most
+ * 100 characters each); null when neither end is there
+ */
+function readRoute(value) {
+    if (!isObject(value)) return null;
+
+    const route = ROUTE_ENDS.reduce((clean, end) => {
+        if (!isObject(value[end])) return clean;
+        clean[end] = ROUTE_FIELDS.reduce((fields, key) => {
+            fields[key] = typeof value[end][key] === 'string' ? value[end][key].slice(0, 100) : null;
+            return fields;
+        }, {});
+        return clean;
+    }, {});
+    return Object.keys(route).length ? route : null;
+}
+
+/**
+ * "google / cpc · diwali-offer" for mails and exports
+ */
+function describeAttribution(attribution) {
+    if (!attribution) return '';
+    const channel = [attribution.source, attribution.medium].filter(Boolean).join(' / ');
+    return [channel, attribution.campaign].filter(Boolean).join(' · ');
+}
+
+const currency = new Intl.NumberFormat('en-IN', { style: 'currency', currency: 'INR', maximumFractionDigits: 0 });
+
+function formatEmail(lead) {
+    const schema = FormSchemas[lead.form];
+    const fields = lead.fields;
+    const route = fields.movingFrom && fields.movingTo ? ` (${fields.movingFrom} → ${fields.movingTo})` : '';
+
+    const lines = Object.keys(schema.fields).map(name => {
+        const rule = schema.fields[name];
+        return `${rule.label}: ${fields[rule.payload || name] || '—'}`;
+    });
+
+    const estimate = lead.estimate;
+    if (estimate && estimate.priceMin) {
+        lines.push(`Estimate shown: ${currency.format(estimate.priceMin)} – ${currency.format(estimate.priceMax)}` +
+            ` (~${estimate.distanceKm} km)`);
+    }
+
+    return {
+        subject: `New ${TITLES[lead.form]}: ${fields.name}${route}`,
+        text: [
+            `New ${TITLES[lead.form]} from the website`,
+            `Page: ${lead.source || 'unknown'}`,
+            ...(lead.attribution ? [`Came from: ${describeAttribution(lead.attribution)}`] : []),
+            `Received: ${lead.createdAt}`,
+            '',
+            ...lines
+        ].join('\n'),
+        replyTo: fields.email
+    };
+}
+
+function createLeadIntake({ store, mailer, spam = null }) {
+    /**
+     * Validate and store one submission
+     * Resolves to { status, body } for the JSON response
+     */
+    async function submit(form, body, request) {
+        // Before validation and the spam checks: the retry reuses a token they'd call a replay
+        const submissionId = typeof body.idempotencyKey === 'string' && IDEMPOTENCY_KEY.test(body.idempotencyKey)
+            ? body.idempotencyKey
+            : null;
+        // A shortcut only; store.addUnique below settles retries that arrive together
+        if (submissionId) {
+            const existing = (await store.all()).find(lead => lead.submissionId === submissionId);
+            if (existing) return { status: 201, body: { ok: true, id: existing.id, duplicate: true } };
+        }
+
+        const schema = FormSchemas[form];
+        const { values, errors } = FormRules.validatePayload(schema, body);
+
+        if (errors) {
+            return { status: 422, body: { ok: false, error: 'Please fix the highlighted fields.', errors } };
+        }
+
+        const ip = request.socket.remoteAddress;
+        if (spam) {
+            const rejection = spam.check(form, body, values, ip);
+            if (rejection) return rejection;
+        }
+
+        const record = {
+            form,
+            submissionId,
+            status: 'new',
+            source: sourcePage(request.headers.referer),
+            fields: values,
+            estimate: readEstimate(body.estimate),
+            route: readRoute(body.route),
+            attribution: readAttribution(body.attribution),
+            client: {
+                ip,
+                userAgent: request.headers['user-agent'] || ''
+            },
+            // Filled in from the sales dashboard (admin.js)
+            notes: [],
+            history: []
+        };
+
+        let stored;
+        try {
+            stored = submissionId
+                ? await store.addUnique(submissionId, record)
+                : { record: await store.add(record), created: true };
+        } catch (error) {
+            if (spam) spam.release(body);
+            throw error;
+        }
+        if (!stored.created) return { status: 201, body: { ok: true, id: stored.record.id, duplicate: true } };
+
+        const lead = stored.record;
+        if (spam) spam.record(form, body, values, ip);
+
+        // The lead is already safe on disk; a mail failure is logged, not reported to the visitor
+        try {
+            await mailer.send(formatEmail(lead));
+        } catch (error) {
+            console.error(`Notification for lead ${lead.id} failed:`, error.message);
+        }
+
+        return { status: 201, body: { ok: true, id: lead.id } };
+    }
+
+    return {
+        sendEmail: (body, request) => submit(detectForm(body), body, request),
+        inquiry: (body, request) => submit('inquiry', body, request)
+    };
+}
+
+module.exports = { createLeadIntake, detectForm, describeAttribution };
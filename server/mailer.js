@@ -0,0 +1,98 @@
+/**
+ * Notification Mailer
+ * Builds a plain-text message and hands it to one of the transports below
+ *
+ *   console  prints the message (default, for development)
+ *   file     writes one .eml file per message into the outbox directory
+ *   smtp     delivers through an SMTP relay (see smtp.js)
+ *
+ * Extra transports can be added with registerTransport(name, factory)
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const smtp = require('./smtp');
+
+const transports = {
+    console: () => ({
+        send: message => {
+            console.log(`\n----- mail to ${message.to.join(', ')} -----\n${message.text}\n-----\n`);
+        }
+    }),
+
+    file: settings => ({
+        send: async message => {
+            await fs.promises.mkdir(settings.outbox, { recursive: true });
+            const name = `${message.date.toISOString().replace(/[:.]/g, '-')}-${message.id}.eml`;
+            await fs.promises.writeFile(path.join(settings.outbox, name), message.raw);
+        }
+    }),
+
+    smtp: settings => ({
+        send: message => smtp.sendMail(settings.smtp, { from: message.envelopeFrom, to: message.to }, message.raw)
+    })
+};
+
+function registerTransport(name, factory) {
+    transports[name] = factory;
+}
+
+// Bare address from "Name <address>"
+const addressOf = value => (value.match(/<([^>]+)>/) || [null, value])[1].trim();
+
+// RFC 2047 encoded-word so names and the rupee sign survive in headers
+const encodeHeader = value => /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+
+// Headers must not carry line breaks supplied by a form
+const headerSafe = value => String(value).replace(/[\r\n]+/g, ' ');
+
+function buildMessage(settings, { subject, text, replyTo }) {
+    const id = crypto.randomUUID();
+    const date = new Date();
+    const domain = addressOf(settings.from).split('@')[1] || 'localhost';
+
+    const headers = [
+        `From: ${headerSafe(settings.from)}`,
+        `To: ${settings.to.join(', ')}`,
+        replyTo ? `Reply-To: ${headerSafe(replyTo)}` : null,
+        `Subject: ${encodeHeader(headerSafe(subject))}`,
+        `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+        `Message-ID: <${id}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ].filter(Boolean);
+
+    const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+    return {
+        id,
+        date,
+        to: settings.to,
+        envelopeFrom: addressOf(settings.from),
+        text,
+        raw: `${headers.join('\r\n')}\r\n\r\n${body}\r\n`
+    };
+}
+
+function createMailer(settings) {
+    const factory = transports[settings.transport];
+    if (!factory) {
+        throw new Error(`Unknown mail transport "${settings.transport}" (expected one of: ${Object.keys(transports).join(', ')})`);
+    }
+    const transport = factory(settings);
+
+    return {
+        /**
+         * Send a notification: { subject, text, replyTo? }
+         */
+        send: async message => transport.send(buildMessage(settings, message))
+    };
+}
+
+module.exports = { createMailer, registerTransport };
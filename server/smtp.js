@@ -0,0 +1,141 @@
+/**
+ * Minimal SMTP Client
+ * Just enough of RFC 5321 to hand one message to a relay: EHLO, STARTTLS, AUTH PLAIN,
+ * MAIL/RCPT/DATA. Implicit TLS when `secure` is set (port 465)
+ */
+
+'use strict';
+
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+
+const TIMEOUT_MS = 30000;
+
+/**
+ * Collects server replies (multi-line "250-..." ending with "250 ...") from a socket
+ */
+function createReader(socket) {
+    let buffer = '';
+    const lines = [];
+    let waiting = null;
+    let failure = null;
+
+    function flush() {
+        if (!waiting) return;
+        const pending = waiting;
+
+        if (failure) {
+            waiting = null;
+            pending.reject(failure);
+            return;
+        }
+
+        const end = lines.findIndex(line => /^\d{3}(?: |$)/.test(line));
+        if (end === -1) return;
+
+        const reply = lines.splice(0, end + 1);
+        waiting = null;
+        pending.resolve({ code: Number(reply[end].slice(0, 3)), text: reply.join('\n') });
+    }
+
+    const onData = chunk => {
+        buffer += chunk.toString('utf8');
+        const parts = buffer.split(/\r?\n/);
+        buffer = parts.pop();
+        lines.push(...parts);
+        flush();
+    };
+    const onError = error => {
+        failure = failure || error;
+        flush();
+    };
+    const onClose = () => onError(new Error('SMTP connection closed'));
+
+    socket.on('data', onData);
+    socket.on('error', onError);
+    socket.on('close', onClose);
+
+    return {
+        read: () => new Promise((resolve, reject) => {
+            waiting = { resolve, reject };
+            flush();
+        }),
+        detach() {
+            socket.off('data', onData);
+            socket.off('error', onError);
+            socket.off('close', onClose);
+        }
+    };
+}
+
+function connect(settings) {
+    return new Promise((resolve, reject) => {
+        const options = { host: settings.host, port: settings.port, servername: settings.host };
+        const socket = settings.secure
+            ? tls.connect(options, () => resolve(socket))
+            : net.connect(options, () => resolve(socket));
+        socket.once('error', reject);
+        socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('SMTP timeout')));
+    });
+}
+
+function upgrade(socket, host) {
+    return new Promise((resolve, reject) => {
+        const secure = tls.connect({ socket, servername: host }, () => resolve(secure));
+        secure.once('error', reject);
+        secure.setTimeout(TIMEOUT_MS, () => secure.destroy(new Error('SMTP timeout')));
+    });
+}
+
+// Lines starting with a dot are doubled so they aren't read as the end of DATA
+const dotStuff = data => data.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+
+/**
+ * Deliver a raw RFC 5322 message
+ * envelope: { from: 'a@b', to: ['c@d'] }
+ */
+async function sendMail(settings, envelope, data) {
+    let socket = await connect(settings);
+    let reader = createReader(socket);
+
+    async function command(line, expected) {
+        if (line !== null) socket.write(`${line}\r\n`);
+        const reply = await reader.read();
+        if (![].concat(expected).includes(reply.code)) {
+            throw new Error(`SMTP ${line === null ? 'greeting' : line.split(' ')[0]} failed: ${reply.text}`);
+        }
+        return reply;
+    }
+
+    try {
+        await command(null, 220);
+        let ehlo = await command(`EHLO ${os.hostname()}`, 250);
+
+        if (!settings.secure && /^250[ -]STARTTLS/mi.test(ehlo.text)) {
+            await command('STARTTLS', 220);
+            reader.detach();
+            socket = await upgrade(socket, settings.host);
+            reader = createReader(socket);
+            ehlo = await command(`EHLO ${os.hostname()}`, 250);
+        }
+
+        if (settings.user) {
+            const token = Buffer.from(`\0${settings.user}\0${settings.pass}`).toString('base64');
+            await command(`AUTH PLAIN ${token}`, 235);
+        }
+
+        await command(`MAIL FROM:<${envelope.from}>`, 250);
+        for (const recipient of envelope.to) {
+            await command(`RCPT TO:<${recipient}>`, [250, 251]);
+        }
+        await command('DATA', 354);
+        await command(`${dotStuff(data)}\r\n.`, 250);
+        await command('QUIT', 221).catch(() => {});
+    } finally {
+        reader.detach();
+        socket.destroy();
+    }
+}
+
+module.exports = { sendMail };
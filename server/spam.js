@@ -0,0 +1,172 @@
+/**
+ * Lead Spam Checks
+ * Server side of assets/js/spam-guard.js, for submissions that never ran the page's script:
+ *   token      payload.antiSpam { stamp, nonce }: a hashcash stamp of at least `difficulty`
+ *              bits, bound to the email address and to a challenge this server issued
+ *              (GET /api/challenge) within maxTokenAgeHours, and used once
+ *   honeypot   payload.antiSpam.website must be empty
+ *   too fast   the stamp was issued (form shown) less than minSeconds before the submit
+ *   throttle   at most maxPerClient leads per IP address within windowMinutes
+ *   duplicate  the same form with the same values within duplicateHours
+ * Disposable email domains are rejected by the field rules (form-rules.js) before this runs.
+ *
+ * Challenges are "<issuedAt>.<random>.<hmac>", signed with a key made at startup, so a
+ * client can neither pick its own issue time nor mint stamps in advance; the stamp is
+ * "2:<bits>:<form>:<challenge>". check() claims the stamp before anything is awaited, so
+ * parallel posts of one stamp can't both pass; release() hands it back if the lead isn't kept.
+ *
+ * Rejections are { status, body: { ok: false, error, reason } }; form-engine.js shows the
+ * page's own message for the reason. "token" and "tooFast" also carry a fresh `challenge`,
+ * which lead-queue.js solves before it sends a kept lead again.
+ * Everything is kept in memory, so a restart forgets it.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+
+const STAMP_VERSION = '2';
+const HONEYPOT = 'website';
+
+const REJECTIONS = {
+    token: { status: 400, error: 'Missing or invalid form token. Please reload the page and try again.' },
+    spam: { status: 400, error: 'Submission rejected.' },
+    tooFast: { status: 400, error: 'Submitted too quickly. Please try again.' },
+    throttled: { status: 429, error: 'Too many requests. Please wait a few minutes.' },
+    duplicate: { status: 409, error: 'This request was already received.' }
+};
+
+const sha256 = text => crypto.createHash('sha256').update(text).digest('hex');
+
+function leadingZeroBits(hex) {
+    let bits = 0;
+    for (const ch of hex) {
+        const nibble = parseInt(ch, 16);
+        if (nibble !== 0) return bits + Math.clz32(nibble) - 28;
+        bits += 4;
+    }
+    return bits;
+}
+
+/**
+ * Same idea as the browser's: the typed values, case and surrounding spaces ignored
+ */
+function fingerprint(form, values) {
+    const text = Object.keys(values).sort()
+        .filter(key => typeof values[key] === 'string')
+        .map(key => `${key}=${values[key].trim().toLowerCase()}`)
+        .join('\n');
+    return sha256(`${form}\n${text}`);
+}
+
+function reject(reason) {
+    const { status, error } = REJECTIONS[reason];
+    return { status, body: { ok: false, error, reason } };
+}
+
+function createSpamGuard(options) {
+    const key = crypto.randomBytes(32);
+    const sign = text => crypto.createHmac('sha256', key).update(text).digest('hex');
+    const usedStamps = new Map();       // stamp -> time it stops being valid anyway
+    const clients = new Map();          // ip -> times of accepted leads
+    const recent = new Map();           // fingerprint -> time it may be sent again
+
+    const tokenAgeMs = options.maxTokenAgeHours * 3600000;
+    const windowMs = options.windowMinutes * 60000;
+    const duplicateMs = options.duplicateHours * 3600000;
+
+    function prune(now) {
+        [usedStamps, recent].forEach(map => map.forEach((until, key) => {
+            if (until <= now) map.delete(key);
+        }));
+        clients.forEach((times, ip) => {
+            const kept = times.filter(time => now - time < windowMs);
+            if (kept.length) clients.set(ip, kept);
+            else clients.delete(ip);
+        });
+    }
+
+    /**
+     * A new challenge for a form that has just been shown
+     */
+    function issue(now = Date.now()) {
+        const challenge = `${now}.${crypto.randomBytes(8).toString('hex')}`;
+        return `${challenge}.${sign(challenge)}`;
+    }
+
+    /**
+     * A stamp rejection plus a challenge to stamp the lead again with
+     */
+    function withChallenge(rejection, now) {
+        rejection.body.challenge = issue(now);
+        return rejection;
+    }
+
+    /**
+     * Time a challenge was issued here, or null when it isn't one of ours
+     */
+    function readChallenge(challenge) {
+        const [issuedAt, random, mac] = String(challenge).split('.');
+        if (!/^\d+$/.test(issuedAt) || !/^[0-9a-f]{16}$/.test(random || '') || !/^[0-9a-f]{64}$/.test(mac || '')) return null;
+
+        const expected = Buffer.from(sign(`${issuedAt}.${random}`), 'hex');
+        return crypto.timingSafeEqual(expected, Buffer.from(mac, 'hex')) ? Number(issuedAt) : null;
+    }
+
+    /**
+     * Time the token's challenge was issued when the token is acceptable, else null
+     */
+    function readToken(token, email, now) {
+        if (!token || typeof token.stamp !== 'string' || !Number.isInteger(token.nonce) || token.nonce < 0) return null;
+
+        const [version, bits, , challenge, extra] = token.stamp.split(':');
+        if (version !== STAMP_VERSION || extra !== undefined || Number(bits) < options.difficulty) return null;
+
+        const issued = readChallenge(challenge);
+        if (issued === null || now - issued > tokenAgeMs) return null;
+        if (usedStamps.has(token.stamp)) return null;
+
+        const hash = sha256(`${token.stamp}:${String(email || '').trim().toLowerCase()}:${token.nonce}`);
+        return leadingZeroBits(hash) >= options.difficulty ? issued : null;
+    }
+
+    /**
+     * Check a validated submission; returns a rejection, or null to accept it.
+     * Synchronous on purpose: an accepted stamp is marked used before the caller awaits anything
+     */
+    function check(form, body, values, ip, now = Date.now()) {
+        prune(now);
+
+        const token = body.antiSpam && typeof body.antiSpam === 'object' ? body.antiSpam : null;
+        if (token && token[HONEYPOT]) return reject('spam');
+
+        const issued = readToken(token, values.email, now);
+        if (issued === null) return withChallenge(reject('token'), now);
+        if (now - issued < options.minSeconds * 1000) return withChallenge(reject('tooFast'), now);
+
+        if ((clients.get(ip) || []).length >= options.maxPerClient) return reject('throttled');
+        if (recent.has(fingerprint(form, values))) return reject('duplicate');
+
+        usedStamps.set(token.stamp, issued + tokenAgeMs);
+        return null;
+    }
+
+    /**
+     * Give an accepted stamp back when its lead could not be stored, so the retry can use it
+     */
+    function release(body) {
+        usedStamps.delete(body.antiSpam.stamp);
+    }
+
+    /**
+     * Remember a stored submission for the throttle and duplicate checks
+     */
+    function record(form, body, values, ip, now = Date.now()) {
+        clients.set(ip, (clients.get(ip) || []).concat(now));
+        recent.set(fingerprint(form, values), now + duplicateMs);
+    }
+
+    return { issue, check, release, record };
+}
+
+module.exports = { createSpamGuard, leadingZeroBits };
@@ -0,0 +1,94 @@
+/**
+ * Static Files
+ * Serves the site pages and assets from the repository root
+ * Only the public site is served: the pages (*.html at the root), the files in PUBLIC_FILES and
+ * everything under PUBLIC_DIRECTORIES. The generator, its data, the server itself (which
+ * holds the lead data) and any other repository file stay private, as do dotfiles.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+const PUBLIC_DIRECTORIES = new Set(['assets', 'mock']);
+const PUBLIC_FILES = new Set(['robots.txt', 'sitemap.xml', 'manifest.webmanifest', 'sw.js']);
+
+/**
+ * Whether a path relative to root is part of the public site ('' is the root, served as index.html)
+ */
+function isPublic(relative) {
+    const segments = relative.split(path.sep);
+    if (segments.some(segment => segment.startsWith('.'))) return false;
+    if (segments.length > 1) return PUBLIC_DIRECTORIES.has(segments[0]);
+    return relative === '' || PUBLIC_FILES.has(relative) || relative.endsWith('.html');
+}
+
+function createStaticHandler(root) {
+    /**
+     * Resolve a URL path to a file inside root, or null when it may not be served
+     */
+    function resolve(urlPath) {
+        let decoded;
+        try {
+            decoded = decodeURIComponent(urlPath);
+        } catch (error) {
+            return null;
+        }
+
+        const file = path.join(root, path.normalize(decoded));
+        const relative = path.relative(root, file);
+
+        if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+        return isPublic(relative) ? file : null;
+    }
+
+    return async function serve(request, response, url) {
+        let file = resolve(url.pathname);
+        let stat = file && await fs.promises.stat(file).catch(() => null);
+
+        if (stat && stat.isDirectory()) {
+            file = path.join(file, 'index.html');
+            stat = await fs.promises.stat(file).catch(() => null);
+        }
+
+        if (!stat || !stat.isFile()) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            response.end('Not found');
+            return;
+        }
+
+        response.writeHead(200, {
+            'Content-Type': TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': stat.size,
+            'Cache-Control': 'no-cache'
+        });
+
+        if (request.method === 'HEAD') {
+            response.end();
+            return;
+        }
+        fs.createReadStream(file).pipe(response);
+    };
+}
+
+module.exports = { createStaticHandler };
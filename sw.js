@@ -0,0 +1,170 @@
+/**
+ * Service Worker
+ * Offline support and faster repeat visits, registered by assets/js/pwa.js:
+ *   precache   the shared assets/css and assets/js files, language catalogs, icons and
+ *              offline.html, in a cache named after VERSION; served cache-first
+ *   pages      stale-while-revalidate: the cached copy at once, refreshed in the background;
+ *              offline.html (phone number and city list) when a page was never cached
+ *   images     stale-while-revalidate, keeping the most recent MAX_IMAGES
+ * The lead API, the sales dashboard and other sites always go to the network.
+ *
+ * Updates: `node generator` rewrites the precache list and VERSION (a hash of the files),
+ * so changing any of them installs a new worker. It waits until pwa.js asks it to take
+ * over ("skip-waiting", after the visitor accepts the update), then drops the old caches.
+ *
+ * Background Sync: the "lead-queue" tag sends leads that lead-queue.js kept while offline.
+ */
+
+'use strict';
+
+// BEGIN GENERATED: precache (node generator)
+const VERSION = '00c045e05cb7';
+const PRECACHE = [
+    'assets/css/location-page.css',
+    'assets/css/pages.css',
+    'assets/css/style.css',
+    'assets/i18n/hi.json',
+    'assets/i18n/mr.json',
+    'assets/i18n/ta.json',
+    'assets/img/icons/apple-touch-icon.png',
+    'assets/img/icons/icon-192.png',
+    'assets/img/icons/icon-512.png',
+    'assets/img/icons/icon-maskable-512.png',
+    'assets/img/logo1.webp',
+    'assets/js/analytics.js',
+    'assets/js/animations.js',
+    'assets/js/autocomplete.js',
+    'assets/js/city-data.js',
+    'assets/js/config.js',
+    'assets/js/consent.js',
+    'assets/js/contact-widget.js',
+    'assets/js/estimator.js',
+    'assets/js/form-drafts.js',
+    'assets/js/form-engine.js',
+    'assets/js/form-rules.js',
+    'assets/js/form-schemas.js',
+    'assets/js/i18n.js',
+    'assets/js/lead-queue.js',
+    'assets/js/main.js',
+    'assets/js/mobile-menu.js',
+    'assets/js/network-filter.js',
+    'assets/js/network-map.js',
+    'assets/js/phone-input.js',
+    'assets/js/pwa.js',
+    'assets/js/slider.js',
+    'assets/js/spam-guard.js',
+    'assets/js/testimonials.js',
+    'assets/js/tracking.js',
+    'assets/js/wizard.js',
+    'manifest.webmanifest',
+    'offline.html'
+];
+// END GENERATED: precache
+
+const PRECACHE_URLS = new Set(PRECACHE.map(url => new URL(url, self.location).pathname));
+
+const STATIC_CACHE = `spw-static-${VERSION}`;
+const PAGE_CACHE = 'spw-pages';
+const IMAGE_CACHE = 'spw-images';
+const CACHES = [STATIC_CACHE, PAGE_CACHE, IMAGE_CACHE];
+
+const OFFLINE_PAGE = 'offline.html';
+const MAX_PAGES = 40;
+const MAX_IMAGES = 80;
+
+// Never cached: the lead server's API, the dashboard and the live data files
+const NETWORK_ONLY = [/\/api\//, /\/admin\.html$/, /\/assets\/js\/admin\.js$/, /\/assets\/css\/admin\.css$/, /\/mock\//];
+
+importScripts('assets/js/lead-queue.js');
+
+/* ---------- Lifecycle ---------- */
+
+self.addEventListener('install', event => {
+    // cache: 'reload' so the precache never copies a stale HTTP-cached file
+    event.waitUntil(caches.open(STATIC_CACHE).then(cache => cache.addAll(
+        PRECACHE.map(url => new Request(url, { cache: 'reload' }))
+    )));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('spw-') && !CACHES.includes(key))
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+/* ---------- Caching ---------- */
+
+async function trim(cacheName, max) {
+    const cache = await caches.open(cacheName);
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map(key => cache.delete(key)));
+}
+
+/**
+ * The cached response straight away (refreshing it in the background), else the network
+ */
+async function staleWhileRevalidate(event, cacheName, max) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request, { ignoreSearch: event.request.mode === 'navigate' });
+
+    const refresh = fetch(event.request).then(async response => {
+        if (response.ok && response.type === 'basic') {
+            await cache.put(event.request, response.clone());
+            await trim(cacheName, max);
+        }
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+async function page(event) {
+    try {
+        return await staleWhileRevalidate(event, PAGE_CACHE, MAX_PAGES);
+    } catch (error) {
+        return caches.match(OFFLINE_PAGE);
+    }
+}
+
+async function precached(event) {
+    return (await caches.match(event.request, { cacheName: STATIC_CACHE })) || fetch(event.request);
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin || NETWORK_ONLY.some(pattern => pattern.test(url.pathname))) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(page(event));
+    } else if (PRECACHE_URLS.has(url.pathname)) {
+        event.respondWith(precached(event));
+    } else if (request.destination === 'image') {
+        event.respondWith(staleWhileRevalidate(event, IMAGE_CACHE, MAX_IMAGES));
+    }
+});
+
+/* ---------- Background Sync ---------- */
+
+self.addEventListener('sync', event => {
+    if (event.tag !== self.LeadQueue.CONFIG.syncTag) return;
+
+    // Rejecting makes the browser try the sync again later
+    event.waitUntil(self.LeadQueue.flush()
+        .then(() => self.LeadQueue.pending())
+        .then(left => {
+            if (left.length) throw new Error(`${left.length} lead(s) still queued`);
+        }));
+});